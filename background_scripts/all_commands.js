@@ -5,12 +5,39 @@
 // - background: whether this command has to be run by the background page.
 // - desc: shown in the help dialog and command listing page.
 // - details: extra help information that will only be shown on the command listing page.
+// - dotRepeatable: whether this command changes state, and so can be repeated by the
+//   repeatLastCommand command.
 // - group: commands are displayed in groups in the help dialog and command listing.
 // - noRepeat: whether this command can be used with a count key prefix.
+// - options: the options which can be given to this command in a key mapping, as a map of option
+//   name to a schema of this form:
+//   - type: one of "boolean", "integer", "number", "string", "enum" or "url". Boolean options can
+//     be given as flags, e.g. `map R reload hard`.
+//   - desc: shown in the command listing page and the help dialog.
+//   - values: for "enum" options, the list of allowed values.
+//   - min, max: for "integer" and "number" options, the optional range of allowed values.
+//   Key mappings are validated against these schemas, and option values are converted to their
+//   type when they're parsed. The "(any url)" option accepts a URL in place of the option's name.
+//   Commands which don't have noRepeat also accept a `count` option; see countOption.
 // - repeatLimit: the number of allowed repetitions of this command before the user is prompted for
 //   confirmation.
 // - topFrame: whether this command must be run only in the top frame of a page.
 //
+
+// The `continuous` option of the link hints commands, e.g. `map F LinkHints.activateMode continuous`.
+const continuousOption = {
+  type: "boolean",
+  desc: "Show the hints again after each link is chosen, until Escape is typed.",
+};
+
+// The `count` option, which is accepted by every command that doesn't have noRepeat. E.g.
+// `map J scrollDown count=5`.
+const countOption = {
+  type: "integer",
+  min: 1,
+  desc: "The number of times to repeat this command. This is multiplied by any typed count.",
+};
+
 const allCommands = [
   //
   // Navigation
@@ -101,9 +128,13 @@ const allCommands = [
     group: "navigation",
     background: true,
     options: {
-      hard: "Perform a hard reload, forcing the browser to bypass its cache.",
+      hard: {
+        type: "boolean",
+        desc: "Perform a hard reload, forcing the browser to bypass its cache.",
+      },
     },
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   {
@@ -118,6 +149,7 @@ const allCommands = [
     desc: "Open the clipboard's URL in the current tab",
     group: "navigation",
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   {
@@ -126,9 +158,13 @@ const allCommands = [
     group: "navigation",
     noRepeat: true,
     options: {
-      position: "Where to place the tab in the tab bar. " +
-        "One of `start`, `before`, `after`, `end`. `after` is the default.",
+      position: {
+        type: "enum",
+        values: ["start", "before", "after", "end"],
+        desc: "Where to place the tab in the tab bar. `after` is the default.",
+      },
     },
+    dotRepeatable: true,
   },
 
   {
@@ -172,7 +208,10 @@ const allCommands = [
     name: "passNextKey",
     desc: "Pass the next key to the page",
     options: {
-      normal: "Optional. Enter Vimium's normal mode, and ignore any defined pass keys.",
+      normal: {
+        type: "boolean",
+        desc: "Optional. Enter Vimium's normal mode, and ignore any defined pass keys.",
+      },
     },
     group: "navigation",
     advanced: true,
@@ -189,23 +228,33 @@ const allCommands = [
     name: "LinkHints.activateMode",
     desc: "Open a link in the current tab",
     options: {
-      action: "one of `hover`, `focus`, `copy-text`. When a link is selected, " +
-        "instead of clicking on the link, perform the specified action.",
+      action: {
+        type: "enum",
+        values: ["hover", "focus", "copy-text"],
+        desc: "When a link is selected, instead of clicking on the link, perform the specified " +
+          "action.",
+      },
+      continuous: continuousOption,
     },
     group: "navigation",
     advanced: true,
+    dotRepeatable: true,
   },
 
   {
     name: "LinkHints.activateModeToOpenInNewTab",
     desc: "Open a link in a new tab",
+    options: { continuous: continuousOption },
     group: "navigation",
+    dotRepeatable: true,
   },
 
   {
     name: "LinkHints.activateModeToOpenInNewForegroundTab",
     desc: "Open a link in a new tab & switch to it",
+    options: { continuous: continuousOption },
     group: "navigation",
+    dotRepeatable: true,
   },
 
   {
@@ -214,25 +263,125 @@ const allCommands = [
     group: "navigation",
     advanced: true,
     noRepeat: true,
+    dotRepeatable: true,
+  },
+
+  {
+    name: "LinkHints.activateModeToCopy",
+    desc: "Copy a link's text, URL or attribute to the clipboard",
+    details: "For example, the option what=markdown copies a link as [text](url), and " +
+      "attribute=title copies the element's title.",
+    options: {
+      what: {
+        type: "enum",
+        values: ["text", "href", "src", "markdown", "html"],
+        desc: "What to copy: the element's text (the default), its link URL, the URL of an " +
+          "image, video or audio element, a Markdown link, or its HTML.",
+      },
+      attribute: { type: "string", desc: "Copy this attribute of the element instead." },
+      continuous: continuousOption,
+    },
+    group: "navigation",
+    advanced: true,
+    dotRepeatable: true,
+  },
+
+  {
+    name: "LinkHints.activateModeToSelectText",
+    desc: "Select a block of text and enter caret or visual mode",
+    details: "Hints are shown on paragraphs, list items, table cells and code blocks, and the " +
+      "selection starts at the beginning of the chosen block.",
+    options: {
+      mode: {
+        type: "enum",
+        values: ["caret", "visual", "line"],
+        desc: "The mode to enter: caret mode (the default), visual mode or visual line mode.",
+      },
+    },
+    group: "navigation",
+    advanced: true,
+    noRepeat: true,
+  },
+
+  {
+    name: "LinkHints.activateModeForMultipleLinks",
+    desc: "Open, copy or download multiple links",
+    details: "Type the hint of the first link and then the hint of the last link to act on every " +
+      "link between them, or type Enter to act on every hint which matches what's been typed.",
+    options: {
+      action: {
+        type: "enum",
+        values: ["open", "copy-urls", "download"],
+        desc: "Open the links in new background tabs (the default), copy their URLs to the " +
+          "clipboard one per line, or download them.",
+      },
+      continuous: continuousOption,
+    },
+    group: "navigation",
+    advanced: true,
+    dotRepeatable: true,
+  },
+
+  {
+    name: "LinkHints.activateModeForMedia",
+    desc: "Open, copy, download or control an image or video",
+    details: "Hints are shown on images, videos, audio players and canvases.",
+    options: {
+      action: {
+        type: "enum",
+        values: [
+          "open",
+          "copy-url",
+          "download",
+          "play",
+          "mute",
+          "picture-in-picture",
+          "fullscreen",
+        ],
+        desc: "Open the image in a new tab (the default), copy its URL, download it, play or " +
+          "pause it, mute or unmute it, or toggle picture-in-picture or fullscreen.",
+      },
+      continuous: continuousOption,
+    },
+    group: "navigation",
+    advanced: true,
+    dotRepeatable: true,
+  },
+
+  {
+    name: "LinkHints.activateModeForFormControls",
+    desc: "Use an input, select, checkbox or radio button",
+    details:
+      "Checkboxes and radio buttons are clicked, selects change to their next option, date " +
+      "and color inputs open their picker, and text fields are focused with their contents selected.",
+    options: { continuous: continuousOption },
+    group: "navigation",
+    advanced: true,
+    dotRepeatable: true,
   },
 
   {
     name: "LinkHints.activateModeToDownloadLink",
     desc: "Download link url",
+    options: { continuous: continuousOption },
     group: "navigation",
     advanced: true,
+    dotRepeatable: true,
   },
 
   {
     name: "LinkHints.activateModeToOpenIncognito",
     desc: "Open a link in incognito window",
+    options: { continuous: continuousOption },
     group: "navigation",
     advanced: true,
+    dotRepeatable: true,
   },
 
   {
     name: "LinkHints.activateModeToCopyLinkUrl",
     desc: "Copy a link URL to the clipboard",
+    options: { continuous: continuousOption },
     group: "navigation",
     advanced: true,
   },
@@ -275,9 +424,12 @@ const allCommands = [
       "This will set a mark bound to that letter. Lowercase letters are local marks and uppercase " +
       "letters are global marks.",
     options: {
-      swap: "Swap global and local marks. This option exists because in a browser, global marks " +
-        "are generally more useful than local marks, and so it may be desirable to make lowercase " +
-        "letters represent global marks rather than local marks.",
+      swap: {
+        type: "boolean",
+        desc: "Swap global and local marks. This option exists because in a browser, global " +
+          "marks are generally more useful than local marks, and so it may be desirable to make " +
+          "lowercase letters represent global marks rather than local marks.",
+      },
     },
     group: "navigation",
     advanced: true,
@@ -288,15 +440,39 @@ const allCommands = [
     name: "Marks.activateGotoMode",
     desc: "Jump to a mark",
     options: {
-      swap: "Swap global and local marks. This option exists because in a browser, global marks " +
-        "are generally more useful than local marks, and so it may be desirable to make lowercase " +
-        "letters represent global marks rather than local marks.",
+      swap: {
+        type: "boolean",
+        desc: "Swap global and local marks. This option exists because in a browser, global " +
+          "marks are generally more useful than local marks, and so it may be desirable to make " +
+          "lowercase letters represent global marks rather than local marks.",
+      },
     },
     group: "navigation",
     advanced: true,
     noRepeat: true,
   },
 
+  {
+    name: "KeyRecorder.toggleRecording",
+    desc: "Record keys into a register, or stop recording",
+    details: "To start recording, type the key bound to this command, and then a letter: the " +
+      "register to record into. Commands typed from then on are recorded, until this command is " +
+      "used again. Recordings are kept after the page is reloaded, and are shared by all tabs.",
+    group: "navigation",
+    advanced: true,
+    noRepeat: true,
+  },
+
+  {
+    name: "KeyRecorder.activateReplayMode",
+    desc: "Replay the keys recorded into a register",
+    details: "Do this by typing the key bound to this command, and then the letter of the " +
+      "register to replay. Use `@` as the register to replay the most recently replayed register.",
+    group: "navigation",
+    advanced: true,
+    repeatLimit: 20,
+  },
+
   //
   // Vomnibar
   //
@@ -305,9 +481,12 @@ const allCommands = [
     name: "Vomnibar.activate",
     desc: "Open URL, bookmark or history entry",
     options: {
-      query: "The text to prefill the Vomnibar with.",
-      keyword: 'The keyword of a search engine defined in the "Custom search engines" ' +
-        "section of the Vimium Options page. The Vomnibar will be scoped to use that search engine.",
+      query: { type: "string", desc: "The text to prefill the Vomnibar with." },
+      keyword: {
+        type: "string",
+        desc: 'The keyword of a search engine defined in the "Custom search engines" section ' +
+          "of the Vimium Options page. The Vomnibar will be scoped to use that search engine.",
+      },
     },
     group: "vomnibar",
     topFrame: true,
@@ -319,9 +498,12 @@ const allCommands = [
     desc: "Open URL, bookmark or history entry in a new tab",
     group: "vomnibar",
     options: {
-      query: "The text to prefill the Vomnibar with.",
-      keyword: 'The keyword of a search engine defined in the "Custom search engines" ' +
-        "section of the Vimium Options page. The Vomnibar will be scoped to use that search engine.",
+      query: { type: "string", desc: "The text to prefill the Vomnibar with." },
+      keyword: {
+        type: "string",
+        desc: 'The keyword of a search engine defined in the "Custom search engines" section ' +
+          "of the Vimium Options page. The Vomnibar will be scoped to use that search engine.",
+      },
     },
     topFrame: true,
     noRepeat: true,
@@ -332,7 +514,7 @@ const allCommands = [
     desc: "Open a bookmark",
     group: "vomnibar",
     options: {
-      query: "The text to prefill the Vomnibar with.",
+      query: { type: "string", desc: "The text to prefill the Vomnibar with." },
     },
     topFrame: true,
     noRepeat: true,
@@ -343,7 +525,7 @@ const allCommands = [
     desc: "Open a bookmark in a new tab",
     group: "vomnibar",
     options: {
-      query: "The text to prefill the Vomnibar with.",
+      query: { type: "string", desc: "The text to prefill the Vomnibar with." },
     },
     topFrame: true,
     noRepeat: true,
@@ -357,6 +539,15 @@ const allCommands = [
     noRepeat: true,
   },
 
+  {
+    name: "Vomnibar.activateRecentlyClosed",
+    desc: "Reopen a recently closed tab or window, or a tab from another device",
+    group: "vomnibar",
+    advanced: true,
+    topFrame: true,
+    noRepeat: true,
+  },
+
   {
     name: "Vomnibar.activateEditUrl",
     desc: "Edit the current URL",
@@ -442,16 +633,23 @@ const allCommands = [
     name: "createTab",
     desc: "Create new tab",
     options: {
-      "(any url)": "Open this URL, rather than the browser's new tab page. " +
-        "E.g.: `map X createTab https://example.com`",
-      window: "Create the tab in a new window",
-      incognito: "Create the tab in an incognito window",
-      position: "Where to place the tab in the tab bar. " +
-        "One of `start`, `before`, `after`, `end`. `after` is the default.",
+      "(any url)": {
+        type: "url",
+        desc: "Open this URL, rather than the browser's new tab page. " +
+          "E.g.: `map X createTab https://example.com`",
+      },
+      window: { type: "boolean", desc: "Create the tab in a new window" },
+      incognito: { type: "boolean", desc: "Create the tab in an incognito window" },
+      position: {
+        type: "enum",
+        values: ["start", "before", "after", "end"],
+        desc: "Where to place the tab in the tab bar. `after` is the default.",
+      },
     },
     group: "tabs",
     background: true,
     repeatLimit: 20,
+    dotRepeatable: true,
   },
 
   {
@@ -497,6 +695,7 @@ const allCommands = [
     group: "tabs",
     background: true,
     repeatLimit: 20,
+    dotRepeatable: true,
   },
 
   {
@@ -505,18 +704,20 @@ const allCommands = [
     group: "tabs",
     background: true,
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   {
     name: "toggleMuteTab",
     desc: "Mute or unmute current tab",
     options: {
-      all: "Mute all tabs.",
-      other: "Mute every tab except the current one.",
+      all: { type: "boolean", desc: "Mute all tabs." },
+      other: { type: "boolean", desc: "Mute every tab except the current one." },
     },
     group: "tabs",
     background: true,
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   {
@@ -527,6 +728,7 @@ const allCommands = [
     // Don't close (in one command invocation) more than the number of tabs that can be re-opened by
     // the browser.
     repeatLimit: chrome.sessions?.MAX_SESSION_RESULTS || 25,
+    dotRepeatable: true,
   },
 
   {
@@ -535,6 +737,7 @@ const allCommands = [
     group: "tabs",
     background: true,
     repeatLimit: 20,
+    dotRepeatable: true,
   },
 
   {
@@ -544,6 +747,7 @@ const allCommands = [
     advanced: true,
     background: true,
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   {
@@ -552,6 +756,7 @@ const allCommands = [
     group: "tabs",
     advanced: true,
     background: true,
+    dotRepeatable: true,
   },
 
   {
@@ -560,6 +765,7 @@ const allCommands = [
     group: "tabs",
     advanced: true,
     background: true,
+    dotRepeatable: true,
   },
 
   {
@@ -569,6 +775,7 @@ const allCommands = [
     advanced: true,
     background: true,
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   {
@@ -577,6 +784,7 @@ const allCommands = [
     group: "tabs",
     advanced: true,
     background: true,
+    dotRepeatable: true,
   },
 
   {
@@ -585,6 +793,7 @@ const allCommands = [
     group: "tabs",
     advanced: true,
     background: true,
+    dotRepeatable: true,
   },
 
   {
@@ -594,9 +803,15 @@ const allCommands = [
     advanced: true,
     background: true,
     options: {
-      level: "The zoom level. This can be a range of [0.25, 5.0]. 1.0 is the default.",
+      level: {
+        type: "number",
+        min: 0.25,
+        max: 5,
+        desc: "The zoom level. 1.0 is the default.",
+      },
     },
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   {
@@ -605,6 +820,7 @@ const allCommands = [
     group: "tabs",
     advanced: true,
     background: true,
+    dotRepeatable: true,
   },
 
   {
@@ -613,6 +829,7 @@ const allCommands = [
     group: "tabs",
     advanced: true,
     background: true,
+    dotRepeatable: true,
   },
 
   {
@@ -622,6 +839,7 @@ const allCommands = [
     advanced: true,
     background: true,
     noRepeat: true,
+    dotRepeatable: true,
   },
 
   //
@@ -636,6 +854,32 @@ const allCommands = [
     noRepeat: true,
   },
 
+  {
+    name: "switchProfile",
+    desc: "Switch to the next settings profile",
+    details: "Settings profiles are defined on the options page. Without the name option, this " +
+      "cycles through the profiles, and then back to using no profile.",
+    options: {
+      name: { type: "string", desc: "The profile to switch to." },
+      window: { type: "boolean", desc: "Switch the profile for only the current window." },
+    },
+    group: "misc",
+    advanced: true,
+    background: true,
+    noRepeat: true,
+  },
+
+  {
+    name: "repeatLastCommand",
+    desc: "Repeat the last command which changed something",
+    details: "This repeats the most recent command in the current window which changed a tab or " +
+      "a page, like closing a tab or opening a link, with the same count and options, even if " +
+      "that command was run in another tab. If a count is typed before this command, it replaces " +
+      "the count of the repeated command.",
+    group: "misc",
+    background: true,
+  },
+
   {
     name: "showHelp",
     desc: "Show help",
@@ -645,4 +889,26 @@ const allCommands = [
   },
 ];
 
-export { allCommands };
+// Describes the values which an option accepts, e.g. "one of `start`, `end`", for documentation.
+function describeOptionType(option) {
+  const range = [];
+  if (option.min != null) range.push(`at least ${option.min}`);
+  if (option.max != null) range.push(`at most ${option.max}`);
+  const rangeString = range.length > 0 ? `, ${range.join(" and ")}` : "";
+  switch (option.type) {
+    case "boolean":
+      return "flag";
+    case "integer":
+      return "integer" + rangeString;
+    case "number":
+      return "number" + rangeString;
+    case "enum":
+      return "one of " + option.values.map((v) => `\`${v}\``).join(", ");
+    case "url":
+      return "URL";
+    default:
+      return "text";
+  }
+}
+
+export { allCommands, countOption, describeOptionType };
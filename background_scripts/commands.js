@@ -1,4 +1,5 @@
-import { allCommands } from "./all_commands.js";
+import { allCommands, countOption } from "./all_commands.js";
+import { RemoteKeyMappings } from "./remote_key_mappings.js";
 
 // A specification for a command that's currently bound to a key sequence, as defined by the default
 // key bindings, or as it appears in the user's keymapping settings.
@@ -15,9 +16,14 @@ export class RegistryEntry {
   background;
   // Whether this command must be run only in the top frame of a page.
   topFrame;
+  // Whether this command can be repeated by the repeatLastCommand command.
+  dotRepeatable;
   // The map of options for this command. This is a parsed, sanitized version of the user's options
   // for this command.
   options;
+  // If this entry is bound to a macro rather than a command, this is the list of RegistryEntries
+  // for the macro's commands, which are run in order. `command` is then the macro's name.
+  macro;
 
   constructor(o) {
     Object.seal(this);
@@ -31,13 +37,53 @@ const namedKey = "(?:[a-z][a-z0-9]+)"; // E.g. "left" or "f12" (always two chara
 const modifiedKey = `(?:${modifier}+(?:.|${namedKey}))`; // E.g. "c-*" or "c-left".
 const specialKeyRegexp = new RegExp(`^<(${namedKey}|${modifiedKey})>(.*)`, "i");
 
+// The names of non-character keys, as produced by KeyboardUtils.getKeyChar.
+const validNamedKeys = [
+  "backspace",
+  "capslock",
+  "contextmenu",
+  "delete",
+  "down",
+  "end",
+  "enter",
+  "escape",
+  "home",
+  "insert",
+  "left",
+  "pagedown",
+  "pageup",
+  "pause",
+  "printscreen",
+  "right",
+  "space",
+  "tab",
+  "up",
+  ...Array.from({ length: 24 }, (_, i) => `f${i + 1}`),
+];
+
+// Like parseLines, but returns a list of { text, lineNumber, indent }, where lineNumber is the
+// 1-based number of the line in `text` where the statement starts, and indent is the amount of
+// whitespace which was trimmed from the start of that line.
+function parseNumberedLines(text) {
+  const physicalLines = text.split("\n");
+  const results = [];
+  for (let i = 0; i < physicalLines.length; i++) {
+    const lineNumber = i + 1;
+    let line = physicalLines[i];
+    while (line.endsWith("\\") && i < physicalLines.length - 1) {
+      line = line.slice(0, -1) + physicalLines[++i];
+    }
+    const trimmed = line.trim();
+    if (trimmed.length == 0 || Array.from('#"').includes(trimmed[0])) continue;
+    results.push({ text: trimmed, lineNumber, indent: line.length - line.trimStart().length });
+  }
+  return results;
+}
+
 // Remove comments and leading/trailing whitespace from a list of lines, and merge lines where the
 // last character on the preceding line is "\".
 function parseLines(text) {
-  return text.replace(/\\\n/g, "")
-    .split("\n")
-    .map((line) => line.trim())
-    .filter((line) => (line.length > 0) && !(Array.from('#"').includes(line[0])));
+  return parseNumberedLines(text).map((line) => line.text);
 }
 
 // Returns the index of the nth occurrence of the regexp in the string. -1 if not found.
@@ -60,17 +106,68 @@ function nthRegexIndex(str, regex, n) {
   return -1;
 }
 
+// Site patterns use the same syntax as exclusion rules: a URL regular expression where "*" matches
+// zero or more characters.
+function validateUrlPattern(pattern) {
+  try {
+    Utils.urlPatternToRegexp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 const KeyMappingsParser = {
   // Parses the text supplied by the user in their "keyMappings" setting.
   // - shouldLogWarnings: if true, logs to the console when part of the user's config is invalid.
-  // Returns { keyToRegistryEntry, keyToMappedKey, validationErrors }.
-  parse(configText, shouldLogWarnings) {
-    let keyToRegistryEntry = {};
-    let mapKeyRegistry = {};
-    let errors = [];
-    const configLines = parseLines(configText);
+  // - defaultConfigText: statements which are applied before configText, e.g. the default key
+  //   mappings.
+  // - appendedConfigText: statements which are applied after configText, e.g. the key mappings
+  //   fetched from the keyMappingsUrl setting.
+  // Errors and warnings are only reported for the statements in configText. Each of the three is
+  // parsed on its own, so a site block or a line continuation can't run on into the next one.
+  // Returns { keyToRegistryEntry, keyToMappedKey, siteKeyMappings, validationErrors, warnings }.
+  // siteKeyMappings is a list of { pattern, keyToRegistryEntry }, one for each `site` block in the
+  // config, in the order they appear. Each keyToRegistryEntry is the complete set of mappings for
+  // URLs matching that pattern: the global mappings with the block's statements applied on top.
+  // validationErrors and warnings are lists of { lineNumber, column, message }, where lineNumber
+  // and column are 1-based positions in configText. Statements with errors are ignored; warnings
+  // are for statements which are valid, but probably don't do what the user intended.
+  parse(configText, shouldLogWarnings, defaultConfigText = "", appendedConfigText = "") {
+    const state = { keyToRegistryEntry: {}, keyToLineNumber: {}, mapKeyRegistry: {}, macros: {} };
+    const errors = [];
+    const warnings = [];
+    const parseUnnumberedLines = (text) =>
+      parseNumberedLines(text).map((line) => Object.assign(line, { lineNumber: null }));
+    const sources = [
+      parseUnnumberedLines(defaultConfigText),
+      parseNumberedLines(configText),
+      parseUnnumberedLines(appendedConfigText),
+    ];
+    const configLines = sources.flat();
     const commandsByName = Utils.keyBy(allCommands, "name");
 
+    // Returns a { lineNumber, column, message } diagnostic for `line`. The column is the position
+    // of the first word in the line which starts with `token`, if it's given.
+    const diagnostic = (line, message, token) => {
+      const index = token == null
+        ? -1
+        : line.text.search(new RegExp(`(?<=^|\\s)${Utils.escapeRegexSpecialCharacters(token)}`));
+      const column = line.indent + Math.max(index, 0) + 1;
+      return { lineNumber: line.lineNumber, column, message };
+    };
+    const addError = (line, message, token) => {
+      if (line.lineNumber == null) return;
+      errors.push(diagnostic(line, message, token));
+    };
+    const addWarning = (line, message, token) => {
+      if (line.lineNumber == null) return;
+      // The same warning can be found while parsing the global mappings and each site block.
+      const warning = diagnostic(line, message, token);
+      if (warnings.some((w) => w.lineNumber == warning.lineNumber && w.message == message)) return;
+      warnings.push(warning);
+    };
+
     const validModifiers = ["a", "c", "m", "s"];
     const validateParsedKey = function (key) {
       if (!key?.match(modifiedKey)) return;
@@ -80,6 +177,15 @@ const KeyMappingsParser = {
         return `${key} has an invalid modifier; valid modifiers are ${validModifiers}`;
       }
     };
+    // Returns a warning if the key is a named key like <left> or <c-f12> which isn't a key name we
+    // know of.
+    const validateNamedKey = function (key) {
+      if (!key.startsWith("<")) return;
+      const keyName = key.slice(1, -1).split("-").at(-1);
+      if (keyName.length > 1 && !validNamedKeys.includes(keyName)) {
+        return `${key} is not a known key name`;
+      }
+    };
     const validateUrl = function (str) {
       try {
         new URL(str);
@@ -89,89 +195,177 @@ const KeyMappingsParser = {
       }
     };
 
-    for (const line of configLines) {
-      const tokens = line.split(/\s+/);
+    // Parses an option string, and checks and converts each option's value using its schema in
+    // `optionSchemas`. Returns null, and records an error, if any of the options are invalid.
+    // - name: the name of the command or macro the options are for, for error messages.
+    const parseOptions = (optionString, optionSchemas, name, line) => {
+      const options = this.parseCommandOptions(optionString);
+      for (const option of Object.keys(options)) {
+        const schema = optionSchemas[option];
+        if (schema) {
+          const { value, error } = this.coerceOptionValue(option, schema, options[option]);
+          if (error) {
+            addError(line, error, option);
+            return null;
+          }
+          options[option] = value;
+        } else if (optionSchemas["(any url)"]) {
+          // Since this command allows for any URL as an argument, we perform some basic
+          // validation to ensure the provided option string is indeed a URL.
+          if (validateUrl(option)) continue;
+          addError(
+            line,
+            `${name} does not support option ${option}. Is this meant to be a valid URL?`,
+            option,
+          );
+          return null;
+        } else {
+          addError(line, `${name} does not support option ${option}`, option);
+          return null;
+        }
+      }
+      return options;
+    };
+
+    // Parses a command name followed by its options, e.g. "reload hard", into a RegistryEntry
+    // without a key sequence. Returns null, and records an error, if the command or any of its
+    // options are invalid.
+    const parseCommand = (commandString, line) => {
+      const command = commandString.split(/\s+/)[0];
+      let optionString;
+      const optionsStart = nthRegexIndex(commandString, /\s+/, 1);
+      if (optionsStart == -1) {
+        optionString = "";
+      } else {
+        optionString = commandString.slice(optionsStart).trim();
+      }
+      const commandInfo = commandsByName[command];
+      if (!commandInfo) {
+        addError(line, `"${command}" is not a valid command in the line: ${line.text}`, command);
+        return null;
+      }
+      const optionSchemas = Object.assign({}, commandInfo.options);
+      if (!commandInfo.noRepeat) {
+        optionSchemas.count = countOption;
+      }
+      const options = parseOptions(optionString, optionSchemas, `Command ${command}`, line);
+      if (!options) return null;
+      return new RegistryEntry({
+        command,
+        noRepeat: commandInfo.noRepeat,
+        repeatLimit: commandInfo.repeatLimit,
+        background: commandInfo.background,
+        topFrame: commandInfo.topFrame,
+        dotRepeatable: commandInfo.dotRepeatable,
+        options,
+      });
+    };
+
+    // Applies the statement on `line` to `state`. Statements inside a site block may only change
+    // key bindings; mapkey is global because it's applied before any key mapping lookup.
+    const parseLine = (line, state, isInSiteBlock) => {
+      const tokens = line.text.split(/\s+/);
       const action = tokens[0].toLowerCase();
       switch (action) {
         case "map": {
           if (tokens.length < 3) {
-            errors.push(`"map requires at least 2 arguments on line ${line}`);
-            continue;
+            addError(line, `"map requires at least 2 arguments on line ${line.text}`);
+            return;
           }
           const [_, key, command] = tokens;
-          let optionString;
-          const optionsStart = nthRegexIndex(line, /\s+/, 3);
-          if (optionsStart == -1) {
-            optionString = "";
+          const commandString = line.text.slice(nthRegexIndex(line.text, /\s+/, 2)).trim();
+          const macro = state.macros[command];
+          let registryEntry;
+          if (macro) {
+            // Macros run each of their commands with the count typed by the user, so the count is
+            // the only option they accept.
+            const optionString = commandString.slice(command.length).trim();
+            const options = parseOptions(
+              optionString,
+              { count: countOption },
+              `Macro ${command}`,
+              line,
+            );
+            if (!options) return;
+            const dotRepeatable = macro.some((step) => step.dotRepeatable);
+            registryEntry = new RegistryEntry({ command, macro, dotRepeatable, options });
           } else {
-            optionString = line.slice(optionsStart).trim();
-          }
-          const commandInfo = commandsByName[command];
-          if (!commandInfo) {
-            errors.push(`"${command}" is not a valid command in the line: ${line}`);
-            continue;
+            registryEntry = parseCommand(commandString, line);
+            if (!registryEntry) return;
           }
           const keySequence = this.parseKeySequence(key);
           const keyErrors = keySequence.map((k) => validateParsedKey(k)).filter((e) => e);
           if (keyErrors.length > 0) {
-            errors = errors.concat(keyErrors);
-            continue;
+            for (const keyError of keyErrors) addError(line, keyError, key);
+            return;
           }
-          const options = this.parseCommandOptions(optionString);
-          const allowedOptions = Object.keys(commandInfo.options || {});
-          if (!commandInfo.noRepeat) {
-            allowedOptions.push("count");
+          for (const keyWarning of keySequence.map((k) => validateNamedKey(k)).filter((e) => e)) {
+            addWarning(line, keyWarning, key);
           }
-          let hasUnknownOption = false;
-          for (const option of Object.keys(options)) {
-            if (allowedOptions.includes(option)) continue;
-            if (allowedOptions.includes("(any url)")) {
-              // Since this command allows for any URL as an argument, we perform some basic
-              // validation to ensure the provided option string is indeed a URL.
-              if (validateUrl(option)) continue;
-              hasUnknownOption = true;
-              errors.push(
-                `Command ${command} does not support option ${option}. ` +
-                  `Is this meant to be a valid URL?`,
-              );
-              break;
-            } else {
-              hasUnknownOption = true;
-              errors.push(`Command ${command} does not support option ${option}`);
-              break;
-            }
+          const keys = keySequence.join("");
+          const previousKey = Object.keys(state.keyToRegistryEntry)
+            .find((k) => state.keyToRegistryEntry[k].keySequence.join("") == keys);
+          const previousLineNumber = state.keyToLineNumber[previousKey];
+          // Site blocks are meant to override the global mappings, so only mappings from within
+          // the site block are reported.
+          if (previousLineNumber != null && (!isInSiteBlock || state.siteKeys.has(previousKey))) {
+            addWarning(line, `${key} is already mapped on line ${previousLineNumber}`, key);
           }
-          if (hasUnknownOption) break;
-          keyToRegistryEntry[key] = new RegistryEntry({
-            keySequence,
-            command,
-            noRepeat: commandInfo.noRepeat,
-            repeatLimit: commandInfo.repeatLimit,
-            background: commandInfo.background,
-            topFrame: commandInfo.topFrame,
-            options,
-          });
+          registryEntry.keySequence = keySequence;
+          state.keyToRegistryEntry[key] = registryEntry;
+          state.keyToLineNumber[key] = line.lineNumber;
+          if (isInSiteBlock) state.siteKeys.add(key);
+          break;
+        }
+        case "macro": {
+          if (tokens.length < 3) {
+            addError(line, `Incorrect usage for macro in the line: ${line.text}`);
+            return;
+          }
+          const name = tokens[1];
+          if (commandsByName[name]) {
+            addError(
+              line,
+              `The macro name "${name}" is already the name of a command. Line: ${line.text}`,
+              name,
+            );
+            return;
+          }
+          // Commands are separated by semicolons which aren't within a quoted option value.
+          const stepStrings = line.text.slice(nthRegexIndex(line.text, /\s+/, 2))
+            .split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+            .map((s) => s.trim())
+            .filter((s) => s.length > 0);
+          const steps = stepStrings.map((s) => parseCommand(s, line));
+          if (steps.includes(null)) return;
+          state.macros[name] = steps;
           break;
         }
         case "unmap": {
           if (tokens.length != 2) {
-            errors.push(`Incorrect usage for unmap in the line: ${line}`);
-            continue;
+            addError(line, `Incorrect usage for unmap in the line: ${line.text}`);
+            return;
           }
           const key = tokens[1];
-          delete keyToRegistryEntry[key];
-          delete mapKeyRegistry[key];
+          delete state.keyToRegistryEntry[key];
+          delete state.keyToLineNumber[key];
+          delete state.mapKeyRegistry[key];
           break;
         }
         case "unmapall": {
-          keyToRegistryEntry = {};
-          mapKeyRegistry = {};
+          state.keyToRegistryEntry = {};
+          state.keyToLineNumber = {};
+          state.mapKeyRegistry = {};
           break;
         }
         case "mapkey": {
+          if (isInSiteBlock) {
+            addError(line, `mapkey cannot be used inside a site block. Line: ${line.text}`);
+            return;
+          }
           if (tokens.length != 3) {
-            errors.push(`Incorrect usage for mapKey in the line: ${line}`);
-            continue;
+            addError(line, `Incorrect usage for mapKey in the line: ${line.text}`);
+            return;
           }
           const fromChar = this.parseKeySequence(tokens[1]);
           const toChar = this.parseKeySequence(tokens[2]);
@@ -179,23 +373,142 @@ const KeyMappingsParser = {
           // length one. It's been that way since this feature was introduced in 6596e30.
           const isValid = fromChar.length == toChar.length && toChar.length === 1;
           if (isValid) {
-            mapKeyRegistry[fromChar[0]] = toChar[0];
+            state.mapKeyRegistry[fromChar[0]] = toChar[0];
           } else {
-            errors.push(
-              `mapkey only supports mapping keys which are single characters. Line: ${line}`,
+            addError(
+              line,
+              `mapkey only supports mapping keys which are single characters. Line: ${line.text}`,
             );
           }
           break;
         }
         default:
-          errors.push(`"${action}" is not a valid config command in line: ${line}`);
+          addError(line, `"${action}" is not a valid config command in line: ${line.text}`);
+      }
+    };
+
+    // When one mapping's key sequence is a prefix of another's (e.g. "g" and "gg"), only the shorter
+    // one can be typed: it runs as soon as its keys are typed. See Commands.buildKeyStateMapping.
+    const findLine = (lineNumber) =>
+      lineNumber == null ? null : configLines.find((l) => l.lineNumber == lineNumber);
+    const findPrefixConflicts = ({ keyToRegistryEntry, keyToLineNumber }) => {
+      const keysToKey = {};
+      for (const [key, registryEntry] of Object.entries(keyToRegistryEntry)) {
+        keysToKey[registryEntry.keySequence.join("")] ||= key;
+      }
+      // Unreachable mappings which aren't from the user's config (e.g. default mappings) are
+      // reported on the line of the user's shorter mapping, grouped by that mapping's key.
+      const prefixKeyToUnreachableKeys = {};
+      for (const [key, registryEntry] of Object.entries(keyToRegistryEntry)) {
+        const keySequence = registryEntry.keySequence;
+        for (let i = 1; i < keySequence.length; i++) {
+          const prefixKey = keysToKey[keySequence.slice(0, i).join("")];
+          if (prefixKey == null) continue;
+          const line = findLine(keyToLineNumber[key]);
+          if (line) {
+            addWarning(line, `${key} can't be typed, because ${prefixKey} is also mapped`, key);
+          } else {
+            (prefixKeyToUnreachableKeys[prefixKey] ||= []).push(key);
+          }
+          break;
+        }
+      }
+      for (const [prefixKey, keys] of Object.entries(prefixKeyToUnreachableKeys)) {
+        const prefixLine = findLine(keyToLineNumber[prefixKey]);
+        if (!prefixLine) continue;
+        const message = `Mapping ${prefixKey} means ${keys.join(", ")} can't be typed`;
+        addWarning(prefixLine, message, prefixKey);
+      }
+    };
+
+    // Statements inside `site pattern { ... }` blocks are collected here, and applied once all of
+    // the global statements have been parsed. Blocks with the same pattern are merged.
+    const siteBlocks = [];
+    let currentSiteBlock = null;
+
+    for (const lines of sources) {
+      for (const line of lines) {
+        const tokens = line.text.split(/\s+/);
+        if (currentSiteBlock) {
+          if (line.text == "}") {
+            currentSiteBlock = null;
+          } else if (tokens[0].toLowerCase() == "site") {
+            addError(line, `Site blocks cannot be nested. Line: ${line.text}`);
+          } else {
+            currentSiteBlock.lines.push(line);
+          }
+          continue;
+        }
+        if (tokens[0].toLowerCase() == "site") {
+          // A block is either `site pattern {`, followed by its statements on the lines up to a
+          // closing "}", or a single statement on one line: `site pattern { statement }`.
+          const isOneLine = tokens.length > 3 && tokens.at(-1) == "}";
+          if (tokens[2] != "{" || (tokens.length != 3 && !isOneLine)) {
+            addError(line, `Incorrect usage for site in the line: ${line.text}`);
+            continue;
+          }
+          const pattern = tokens[1];
+          if (!validateUrlPattern(pattern)) {
+            addError(
+              line,
+              `"${pattern}" is not a valid URL pattern in the line: ${line.text}`,
+              pattern,
+            );
+            // Still consume the block's lines, so they're not treated as global statements.
+            currentSiteBlock = isOneLine ? null : { pattern, lines: [], startLine: line };
+            continue;
+          }
+          currentSiteBlock = siteBlocks.find((b) => b.pattern == pattern);
+          if (!currentSiteBlock) {
+            currentSiteBlock = { pattern, lines: [] };
+            siteBlocks.push(currentSiteBlock);
+          }
+          currentSiteBlock.startLine = line;
+          if (isOneLine) {
+            const start = line.text.indexOf("{") + 1;
+            const text = line.text.slice(start, line.text.lastIndexOf("}"));
+            const indent = line.indent + start + text.length - text.trimStart().length;
+            currentSiteBlock.lines.push(Object.assign({}, line, { text: text.trim(), indent }));
+            currentSiteBlock = null;
+          }
+          continue;
+        }
+        parseLine(line, state, false);
+      }
+      if (currentSiteBlock) {
+        addError(
+          currentSiteBlock.startLine,
+          `The site block for ${currentSiteBlock.pattern} is missing a closing "}".`,
+        );
       }
+      currentSiteBlock = null;
     }
 
+    findPrefixConflicts(state);
+
+    const siteKeyMappings = siteBlocks.map(({ pattern, lines }) => {
+      const siteState = {
+        keyToRegistryEntry: Object.assign({}, state.keyToRegistryEntry),
+        keyToLineNumber: Object.assign({}, state.keyToLineNumber),
+        mapKeyRegistry: {},
+        macros: Object.assign({}, state.macros),
+        // The keys which have been mapped within the site block.
+        siteKeys: new Set(),
+      };
+      for (const line of lines) {
+        parseLine(line, siteState, true);
+      }
+      findPrefixConflicts(siteState);
+      return { pattern, keyToRegistryEntry: siteState.keyToRegistryEntry };
+    });
+
+    const byPosition = (a, b) => (a.lineNumber - b.lineNumber) || (a.column - b.column);
     return {
-      keyToRegistryEntry,
-      keyToMappedKey: mapKeyRegistry,
-      validationErrors: errors,
+      keyToRegistryEntry: state.keyToRegistryEntry,
+      keyToMappedKey: state.mapKeyRegistry,
+      siteKeyMappings,
+      validationErrors: errors.sort(byPosition),
+      warnings: warnings.sort(byPosition),
     };
   },
 
@@ -272,15 +585,47 @@ const KeyMappingsParser = {
       optionString = optionString.slice(matchedString.length);
     }
 
-    // We parse any `count` option immediately (to avoid having to parse it repeatedly later).
-    if ("count" in options) {
-      options.count = parseInt(options.count);
-      if (isNaN(options.count)) {
-        delete options.count;
+    return options;
+  },
+
+  // Checks an option's value against its schema from all_commands.js, and converts it to the
+  // schema's type. Values are strings, or true for options which are given as flags.
+  // Returns { value } if the value is valid, or { error } otherwise.
+  coerceOptionValue(name, schema, value) {
+    switch (schema.type) {
+      case "boolean":
+        if (value === true || value === "true") return { value: true };
+        if (value === "false") return { value: false };
+        return { error: `Option ${name} must be true or false` };
+      case "integer":
+      case "number": {
+        const isInteger = schema.type == "integer";
+        const number = typeof value == "string" ? Number(value) : NaN;
+        if (isNaN(number) || (isInteger && !Number.isInteger(number))) {
+          return { error: `Option ${name} must be ${isInteger ? "an integer" : "a number"}` };
+        }
+        if (schema.min != null && number < schema.min) {
+          return { error: `Option ${name} must be at least ${schema.min}` };
+        }
+        if (schema.max != null && number > schema.max) {
+          return { error: `Option ${name} must be at most ${schema.max}` };
+        }
+        return { value: number };
       }
+      case "enum":
+        if (schema.values.includes(value)) return { value };
+        return { error: `Option ${name} must be one of ${schema.values.join(", ")}` };
+      case "url":
+        try {
+          new URL(value);
+          return { value };
+        } catch {
+          return { error: `Option ${name} must be a URL` };
+        }
+      default:
+        if (value === true) return { error: `Option ${name} requires a value, e.g. ${name}=value` };
+        return { value };
     }
-
-    return options;
   },
 };
 
@@ -289,32 +634,65 @@ const Commands = {
   keyToRegistryEntry: null,
   // A map of typed key => key it's mapped to (via the `mapkey` config statement).
   mapKeyRegistry: null,
+  // A list of { pattern, keyToRegistryEntry }, from the `site` blocks in the user's config.
+  siteKeyMappings: null,
 
   async init() {
     await Settings.onLoaded();
     Settings.addEventListener("change", async () => {
-      await this.loadKeyMappings(Settings.get("keyMappings"));
+      const keyMappings = Settings.get("keyMappings");
+      const keyMappingsUrl = Settings.get("keyMappingsUrl");
+      // Fetch the remote key mappings if the keyMappingsUrl setting has changed.
+      if (await RemoteKeyMappings.isStale(keyMappingsUrl)) {
+        await RemoteKeyMappings.update(keyMappingsUrl);
+      }
+      await this.loadKeyMappings(keyMappings, keyMappingsUrl);
     });
-    await this.loadKeyMappings(Settings.get("keyMappings"));
+    const keyMappingsUrl = Settings.get("keyMappingsUrl");
+    if (await RemoteKeyMappings.isStale(keyMappingsUrl)) {
+      await RemoteKeyMappings.update(keyMappingsUrl);
+    }
+    await this.loadKeyMappings(Settings.get("keyMappings"), keyMappingsUrl);
   },
 
-  // Parses the user's keyMapping config text and persists the parsed key mappings into the
-  // extension's storage, for use by the other parts of this extension.
-  async loadKeyMappings(userKeyMappingsConfigText) {
+  // Fetches the latest version of the key mappings at the keyMappingsUrl setting, and reloads the
+  // key mappings. Returns the RemoteKeyMappings cache entry.
+  async reloadRemoteKeyMappings() {
+    const keyMappings = Settings.get("keyMappings");
+    const keyMappingsUrl = Settings.get("keyMappingsUrl");
+    const entry = await RemoteKeyMappings.update(keyMappingsUrl);
+    await this.loadKeyMappings(keyMappings, keyMappingsUrl);
+    return entry;
+  },
+
+  // The default key mappings, as config text which is parsed before the user's config.
+  getDefaultKeyConfig() {
+    return Object.keys(defaultKeyMappings).map((key) => `map ${key} ${defaultKeyMappings[key]}`)
+      .join("\n");
+  },
+
+  // Parses the user's keyMapping config text, followed by the key mappings fetched from
+  // keyMappingsUrl, and persists the parsed key mappings into the extension's storage, for use by
+  // the other parts of this extension.
+  async loadKeyMappings(
+    userKeyMappingsConfigText,
+    keyMappingsUrl = Settings.get("keyMappingsUrl"),
+  ) {
     let key, command;
     this.keyToRegistryEntry = {};
     this.mapKeyRegistry = {};
+    this.siteKeyMappings = [];
 
-    const defaultKeyConfig = Object.keys(defaultKeyMappings).map((key) =>
-      `map ${key} ${defaultKeyMappings[key]}`
-    ).join("\n");
-
+    const remoteKeyMappingsConfigText = await RemoteKeyMappings.getText(keyMappingsUrl);
     const parsed = KeyMappingsParser.parse(
-      defaultKeyConfig + "\n" + userKeyMappingsConfigText,
+      userKeyMappingsConfigText,
       true,
+      this.getDefaultKeyConfig(),
+      remoteKeyMappingsConfigText,
     );
     this.mapKeyRegistry = parsed.keyToMappedKey;
     this.keyToRegistryEntry = parsed.keyToRegistryEntry;
+    this.siteKeyMappings = parsed.siteKeyMappings;
 
     await chrome.storage.session.set({ mapKeyRegistry: this.mapKeyRegistry });
     await this.installKeyStateMapping();
@@ -325,18 +703,21 @@ const Commands = {
     // for this command (i.e. printable keys) because we're considering that a configuration error:
     // when users press printable keys in insert mode, they expect that character to be input, not
     // to be droppped into a special Vimium mode.
-    const passNextKeys = Object.entries(this.keyToRegistryEntry)
+    const allKeyToRegistryEntries = [this.keyToRegistryEntry]
+      .concat(this.siteKeyMappings.map((m) => m.keyToRegistryEntry));
+    const passNextKeys = allKeyToRegistryEntries
+      .flatMap((keyToRegistryEntry) => Object.entries(keyToRegistryEntry))
       .filter(([key, v]) => v.command == "passNextKey" && key.length > 1)
       .map(([key, v]) => key);
-    await chrome.storage.session.set({ passNextKeyKeys: passNextKeys });
+    await chrome.storage.session.set({ passNextKeyKeys: Array.from(new Set(passNextKeys)) });
   },
 
-  // This generates and installs a nested key-to-command mapping structure. There is an example in
-  // mode_key_handler.js.
-  async installKeyStateMapping() {
+  // This generates a nested key-to-command mapping structure from a map of keyString =>
+  // RegistryEntry. There is an example in mode_key_handler.js.
+  buildKeyStateMapping(keyToRegistryEntry) {
     const keyStateMapping = {};
-    for (const keys of Object.keys(this.keyToRegistryEntry || {})) {
-      const registryEntry = this.keyToRegistryEntry[keys];
+    for (const keys of Object.keys(keyToRegistryEntry || {})) {
+      const registryEntry = keyToRegistryEntry[keys];
       let currentMapping = keyStateMapping;
       for (let index = 0; index < registryEntry.keySequence.length; index++) {
         const key = registryEntry.keySequence[index];
@@ -357,8 +738,20 @@ const Commands = {
         }
       }
     }
+    return keyStateMapping;
+  },
+
+  // Installs the key state mappings for normal mode: one for all pages, and one for each site block
+  // in the user's config. The content scripts choose between them based on the frame's URL.
+  async installKeyStateMapping() {
+    const keyStateMapping = this.buildKeyStateMapping(this.keyToRegistryEntry);
+    const siteKeyStateMappings = (this.siteKeyMappings || []).map((m) => ({
+      pattern: m.pattern,
+      keyStateMapping: this.buildKeyStateMapping(m.keyToRegistryEntry),
+    }));
     await chrome.storage.session.set({
       normalModeKeyStateMapping: keyStateMapping,
+      siteKeyStateMappings,
       // Inform `KeyboardUtils.isEscape()` whether `<c-[>` should be interpreted as `Escape` (which it
       // is by default).
       useVimLikeEscape: !("<c-[>" in keyStateMapping),
@@ -488,7 +881,12 @@ const defaultKeyMappings = {
   "m": "Marks.activateCreateMode",
   "`": "Marks.activateGotoMode",
 
+  // Recording keys
+  "q": "KeyRecorder.toggleRecording",
+  "@": "KeyRecorder.activateReplayMode",
+
   // Misc
+  ".": "repeatLastCommand",
   "?": "showHelp",
   "gs": "toggleViewSource",
 };
@@ -18,6 +18,19 @@ import * as ranking from "./ranking.js";
 import { allCommands } from "../all_commands.js";
 import { Commands, RegistryEntry } from "../commands.js";
 import { RegexpCache } from "./ranking.js";
+import * as queryScopes from "./query_scopes.js";
+import { SelectionFrecency } from "./selection_frecency.js";
+
+// The characters of the HTML entities which may be in a suggestion's escaped title or URL.
+const htmlEntities = { "&lt;": "<", "&gt;": ">", "&amp;": "&", "&quot;": '"' };
+
+// Returns the range in the HTML-escaped `string` of each character of its unescaped text.
+function getCharacterRanges(string) {
+  return Array.from(
+    string.matchAll(/&#?\w+;|[^]/g),
+    (match) => [match.index, match.index + match[0].length],
+  );
+}
 
 // Set this to true to render relevancy when debugging the ranking scores.
 const showRelevancy = false;
@@ -47,6 +60,9 @@ export class Suggestion {
   deDuplicate = true;
   // The tab represented by this suggestion. Populated by TabCompleter.
   tabId;
+  // The closed tab or window, or the tab on another device, which is restored when this suggestion
+  // is picked. Populated by RecentlyClosedCompleter and OtherDevicesCompleter.
+  sessionId;
   // Whether this is a suggestion provided by a user's custom search engine.
   isCustomSearch;
   // Set by CommandCompleter.
@@ -180,13 +196,25 @@ export class Suggestion {
     }
   }
 
-  // Wraps each occurence of the query terms in the given string in a <span>.
+  // Wraps each occurence of the query terms in the given string in a <span>. For a term which only
+  // matches fuzzily, the matched characters are wrapped instead.
   highlightQueryTerms(string) {
     if (!this.highlightTerms) return string;
+    // `string` is HTML-escaped. Only whole characters of its text are highlighted, so that an HTML
+    // entity like "&lt;" is never partly wrapped in a <span>.
+    const characterRanges = getCharacterRanges(string);
+    const boundaries = new Set(characterRanges.flat());
     let ranges = [];
-    const escapedTerms = this.queryTerms.map((term) => Utils.escapeHtml(term));
-    for (const term of escapedTerms) {
-      this.pushMatchingRanges(string, term, ranges);
+    for (const term of this.queryTerms) {
+      let termRanges = [];
+      this.pushMatchingRanges(string, Utils.escapeHtml(term), termRanges);
+      termRanges = termRanges.filter(([start, end]) =>
+        boundaries.has(start) && boundaries.has(end)
+      );
+      if (termRanges.length == 0) {
+        termRanges = this.getFuzzyMatchRanges(string, characterRanges, term);
+      }
+      ranges.push(...termRanges);
     }
 
     if (ranges.length === 0) {
@@ -204,6 +232,19 @@ export class Suggestion {
     return string;
   }
 
+  // Returns the ranges of the characters of `string`, which is HTML-escaped, which `term` matches
+  // fuzzily. The term is matched against the unescaped text.
+  // - characterRanges: the range in `string` of each character of the text. See getCharacterRanges.
+  getFuzzyMatchRanges(string, characterRanges, term) {
+    const text = characterRanges.map(([start, end]) => {
+      const s = string.substring(start, end);
+      // Any other entity is matched as a space, so that it still counts as one character.
+      return s.length == 1 ? s : (htmlEntities[s] ?? " ");
+    }).join("");
+    const positions = ranking.fuzzyMatch(term, text)?.positions ?? [];
+    return positions.map((i) => characterRanges[i].slice());
+  }
+
   // Merges the given list of ranges such that any overlapping regions are combined. E.g.
   //   mergeRanges([0, 4], [3, 6]) => [0, 6]. A range is [startIndex, endIndex].
   mergeRanges(ranges) {
@@ -630,6 +671,94 @@ export class TabCompleter {
   }
 }
 
+// Creates the suggestions for the sessions which can be restored, and which match `queryTerms`.
+// - sessions: a list of { description, url, title, sessionId, searchText, lastModified }, most
+//   recent first. The session matches if its URL, title or searchText matches the query.
+//   lastModified is in seconds since the epoch, as in chrome.sessions.
+// When there's no query, the sessions are ranked by when they were closed or last used, so that the
+// recently closed tabs and the tabs on other devices are interleaved by recency.
+function createSessionSuggestions(queryTerms, sessions) {
+  return sessions
+    .filter((session) =>
+      ranking.matches(queryTerms, session.url, session.title, session.searchText ?? "")
+    )
+    .map((session) => {
+      // With no query, the most recent sessions come first. ranking.recencyScore is 0 for
+      // anything over a month old, so instead we use a score which keeps falling with age.
+      const ageInDays = Math.max(0, Date.now() / 1000 - session.lastModified) / (60 * 60 * 24);
+      const relevancy = queryTerms.length > 0
+        ? ranking.wordRelevancy(queryTerms, session.url, session.title)
+        : 1 / (1 + ageInDays);
+      return new Suggestion({
+        queryTerms,
+        description: session.description,
+        url: session.url,
+        title: session.title,
+        sessionId: session.sessionId,
+        relevancy,
+        // Different sessions may have the same URL, but each restores a different tab or window.
+        deDuplicate: false,
+      });
+    });
+}
+
+// Suggests the recently closed tabs and windows, so that they can be reopened.
+export class RecentlyClosedCompleter {
+  async filter({ queryTerms }) {
+    const closedSessions = await chrome.sessions.getRecentlyClosed({
+      maxResults: chrome.sessions.MAX_SESSION_RESULTS,
+    });
+    const sessions = closedSessions.map(({ lastModified, tab, window }) => {
+      if (tab) {
+        return {
+          lastModified,
+          description: "closed tab",
+          url: tab.url,
+          title: tab.title,
+          sessionId: tab.sessionId,
+        };
+      }
+      // A window is shown as its first tab, and matches the query if any of its tabs do.
+      const tabs = window.tabs ?? [];
+      return {
+        lastModified,
+        description: "closed window",
+        url: tabs[0]?.url ?? "",
+        title: `${tabs.length} tabs: ${tabs.map((t) => t.title).join(", ")}`,
+        sessionId: window.sessionId,
+        searchText: tabs.map((t) => t.url).join(" "),
+      };
+    });
+    return createSessionSuggestions(queryTerms, sessions);
+  }
+}
+
+// Suggests the tabs which are open in the browser on the user's other devices, if the user has
+// sync turned on.
+export class OtherDevicesCompleter {
+  async filter({ queryTerms }) {
+    // Firefox doesn't support listing other devices' sessions.
+    if (chrome.sessions.getDevices == null) return [];
+    const devices = await chrome.sessions.getDevices();
+    const entries = [];
+    for (const device of devices) {
+      for (const { lastModified, tab, window } of device.sessions) {
+        for (const t of tab ? [tab] : (window.tabs ?? [])) {
+          entries.push({
+            lastModified,
+            description: Utils.escapeHtml(device.deviceName),
+            url: t.url,
+            title: t.title,
+            sessionId: t.sessionId,
+          });
+        }
+      }
+    }
+    entries.sort((a, b) => b.lastModified - a.lastModified);
+    return createSessionSuggestions(queryTerms, entries);
+  }
+}
+
 export class SearchEngineCompleter {
   cancel() {
     completionSearch.cancel();
@@ -718,56 +847,92 @@ SearchEngineCompleter.debug = false;
 // returns the top 10. All queries from the vomnibar come through a multi completer.
 const maxResults = 10;
 
+// How much a suggestion's relevancy is boosted, at most, when the user has picked it for the query
+// before. See SelectionFrecency.
+const selectionBoostWeight = 0.5;
+
 export class MultiCompleter {
-  constructor(completers) {
+  // - scopedCompleters: the completers which queries can be restricted to by starting them with the
+  //   prefix of a scope, keyed by the scope's name. See query_scopes.js.
+  constructor(completers, scopedCompleters = {}) {
     this.completers = completers;
+    this.scopedCompleters = scopedCompleters;
+  }
+
+  // All of the completers, including those which are only used for scoped queries.
+  getAllCompleters() {
+    return Array.from(new Set(this.completers.concat(Object.values(this.scopedCompleters))));
   }
 
   refresh() {
-    for (const c of this.completers) {
+    for (const c of this.getAllCompleters()) {
       if (c.refresh) c.refresh();
     }
   }
 
   cancel() {
-    for (const c of this.completers) {
+    for (const c of this.getAllCompleters()) {
       c.cancel?.();
     }
   }
 
   async filter(request) {
+    // The query as the user typed it, including any search engine keyword or scope prefix. This is
+    // the query which SelectionFrecency records the user's selections for.
+    const typedQuery = request.query;
     const searchEngineCompleter = this.completers.find((c) => c instanceof SearchEngineCompleter);
-    const query = request.query;
+    const queryMatchesUserSearchEngine = searchEngineCompleter?.getUserSearchEngineForQuery(
+      request.query,
+    );
+    const scope = queryMatchesUserSearchEngine ? null : queryScopes.getScopeForQuery(request.query);
+    const scopedCompleter = scope ? this.scopedCompleters[scope.name] : null;
+
+    let completers;
+    if (queryMatchesUserSearchEngine) {
+      // If the user's query matches one of their custom search engines, then use only that engine
+      // to provide completions for their query.
+      completers = [searchEngineCompleter];
+    } else if (scopedCompleter) {
+      // If the user's query begins with the prefix of a scope, then use only that scope's completer,
+      // and don't include the prefix in the query which it filters by.
+      completers = [scopedCompleter];
+      const query = queryScopes.removeScopePrefix(request.query, scope);
+      const queryTerms = query.split(/\s+/).filter((s) => s.length > 0);
+      request = Object.assign({}, request, { query, queryTerms });
+    } else {
+      completers = this.completers.filter((c) => c != searchEngineCompleter);
+    }
     const queryTerms = request.queryTerms;
 
-    // The only UX where we support showing results when there are no query terms is via
-    // Vomnibar.activateTabSelection, where we show the list of open tabs by recency.
-    const isTabCompleter = this.completers.length == 1 &&
-      this.completers[0] instanceof TabCompleter;
-    if (queryTerms.length == 0 && !isTabCompleter) {
+    // The only UXes where we support showing results when there are no query terms are listing the
+    // open tabs by recency, via Vomnibar.activateTabSelection or the tabs scope, and listing the
+    // sessions which can be restored, via Vomnibar.activateRecentlyClosed.
+    const listsWithoutQuery = completers.every((c) =>
+      c instanceof TabCompleter || c instanceof RecentlyClosedCompleter ||
+      c instanceof OtherDevicesCompleter
+    );
+    if (queryTerms.length == 0 && !listsWithoutQuery) {
       return [];
     }
 
-    const queryMatchesUserSearchEngine = searchEngineCompleter?.getUserSearchEngineForQuery(query);
-
-    // If the user's query matches one of their custom search engines, then use only that engine to
-    // provide completions for their query.
-    const completers = queryMatchesUserSearchEngine
-      ? [searchEngineCompleter]
-      : this.completers.filter((c) => c != searchEngineCompleter);
-
     RegexpCache.clear();
 
     const promises = completers.map((c) => c.filter(request));
     let results = (await Promise.all(promises)).flat(1);
-    results = this.postProcessSuggestions(request, queryTerms, results);
+    const urlToBoost = await SelectionFrecency.getBoosts(typedQuery);
+    results = this.postProcessSuggestions(request, queryTerms, results, urlToBoost);
     return results;
   }
 
   // Rank them, simplify the URLs, and de-duplicate suggestions with the same simplified URL.
-  postProcessSuggestions(request, queryTerms, suggestions) {
+  // - urlToBoost: a Map of URL to boost, for the suggestions which the user has picked for this
+  //   query before. See SelectionFrecency.getBoosts.
+  postProcessSuggestions(request, queryTerms, suggestions, urlToBoost = new Map()) {
     for (const s of suggestions) {
       s.computeRelevancy(queryTerms);
+      if (urlToBoost.has(s.url)) {
+        s.relevancy += selectionBoostWeight * urlToBoost.get(s.url);
+      }
     }
     suggestions.sort((a, b) => b.relevancy - a.relevancy);
 
@@ -0,0 +1,24 @@
+// Query scopes restrict the Vomnibar's omni completer to a single source of completions. The user
+// picks a scope by starting their query with its prefix, e.g. "b: vimium" searches only bookmarks.
+// This is shared by the background page's MultiCompleter, which does the filtering, and the
+// Vomnibar page, which shows the active scope.
+
+// - name: the name of the completion source, which MultiCompleter's scopedCompleters are keyed by.
+// - title: shown in the Vomnibar while the scope is active.
+export const scopes = [
+  { prefix: "b:", name: "bookmarks", title: "Bookmarks" },
+  { prefix: "h:", name: "history", title: "History" },
+  { prefix: "t:", name: "tabs", title: "Tabs" },
+  { prefix: ":", name: "commands", title: "Commands" },
+];
+
+// Returns the scope whose prefix begins `query`, or null.
+export function getScopeForQuery(query) {
+  query = query.trimStart();
+  return scopes.find((scope) => query.startsWith(scope.prefix)) ?? null;
+}
+
+// Returns `query` without the prefix of `scope`.
+export function removeScopePrefix(query, scope) {
+  return query.trimStart().slice(scope.prefix.length).trimStart();
+}
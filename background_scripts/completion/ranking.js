@@ -2,14 +2,15 @@
 
 // Whether the given things (usually URLs or titles) match any one of the query terms.
 // This is used to prune out irrelevant suggestions before we try to rank them, and for
-// calculating word relevancy. Every term must match at least one thing.
+// calculating word relevancy. Every term must match at least one thing, either as a substring or
+// fuzzily (see fuzzyMatch).
 export function matches(queryTerms, ...things) {
   for (const term of queryTerms) {
     const regexp = RegexpCache.get(term);
     let matchedTerm = false;
     for (const thing of things) {
       if (!matchedTerm) {
-        matchedTerm = thing.match(regexp);
+        matchedTerm = thing.match(regexp) || fuzzyMatch(term, thing) != null;
       }
     }
     if (!matchedTerm) return false;
@@ -25,6 +26,10 @@ const matchWeights = {
   // The following must be the sum of the three weights above; it is used for normalization.
   maximumScore: 3,
   //
+  // The weight of a fuzzy match which is as good as possible. This is less than matchAnywhere, so
+  // that a term which is a substring of a URL or title scores higher than one which isn't.
+  matchFuzzy: 0.5,
+  //
   // Calibration factor for balancing word relevancy and recency.
   recencyCalibrator: 2.0 / 3.0,
 };
@@ -52,10 +57,97 @@ function scoreTerm(term, string) {
         score += matchWeights.matchWholeWord;
       }
     }
+  } else {
+    const fuzzy = fuzzyMatch(term, string);
+    if (fuzzy) {
+      score = matchWeights.matchFuzzy * fuzzy.quality;
+      count = fuzzy.positions.length;
+    }
   }
   return [score, count < string.length ? count : string.length];
 }
 
+// Weights used for scoring fuzzy matches. These are the same as fzf's.
+const fuzzyWeights = {
+  matchCharacter: 16,
+  // The penalty for the first character of a gap between matched characters, and for each
+  // character after that.
+  gapStart: -3,
+  gapExtension: -1,
+  // Bonuses for matching the first character of a word (e.g. the "g" of "/github"), for an
+  // upper-case letter or digit which follows a lower-case letter (e.g. the "H" of "GitHub"), and
+  // for a character which follows the previous matched character.
+  wordStart: 8,
+  camelCase: 7,
+  consecutive: 4,
+  // The bonus for the first character of the term counts for this much more.
+  firstCharacterMultiplier: 2,
+};
+
+// Returns the bonus for matching the character at `index` in `string`.
+function fuzzyCharacterBonus(string, index) {
+  if (index == 0) return fuzzyWeights.wordStart;
+  const previous = string[index - 1];
+  const current = string[index];
+  const isAlphanumeric = (c) => /[\p{L}\p{N}]/u.test(c);
+  if (!isAlphanumeric(previous) && isAlphanumeric(current)) return fuzzyWeights.wordStart;
+  if (/\p{Ll}/u.test(previous) && /[\p{Lu}\p{N}]/u.test(current)) return fuzzyWeights.camelCase;
+  return 0;
+}
+
+// Matches `term` against `string` fuzzily, in the style of fzf: the characters of `term` must
+// appear in `string` in order, but not necessarily together, so that abbreviations and dropped
+// letters (e.g. "gthbiss" for "github issues") still match. Like RegexpCache, this is case
+// insensitive unless `term` contains a capital letter.
+// Returns { quality, positions }, or null if there's no match or the gaps between the matched
+// characters outweigh the characters themselves. `quality` is between 0 and 1, and `positions` are
+// the indices of the matched characters in `string`.
+export function fuzzyMatch(term, string) {
+  if (term.length == 0 || term.length > string.length) return null;
+  const text = Utils.hasUpperCase(term) ? string : string.toLowerCase();
+
+  // Find the end of the first match by scanning forwards, and then the start of the shortest match
+  // which ends there by scanning backwards.
+  let end = -1;
+  for (let i = 0, t = 0; i < text.length; i++) {
+    if (text[i] == term[t] && ++t == term.length) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) return null;
+  let start = end;
+  for (let i = end, t = term.length - 1; t >= 0; i--) {
+    if (text[i] == term[t]) {
+      start = i;
+      t--;
+    }
+  }
+
+  let score = 0;
+  const positions = [];
+  for (let i = start, t = 0; t < term.length; i++) {
+    if (text[i] != term[t]) continue;
+    let bonus = fuzzyCharacterBonus(string, i);
+    const previous = positions.at(-1);
+    if (previous == null) {
+      bonus *= fuzzyWeights.firstCharacterMultiplier;
+    } else if (previous == i - 1) {
+      bonus = Math.max(bonus, fuzzyWeights.consecutive);
+    } else {
+      score += fuzzyWeights.gapStart + fuzzyWeights.gapExtension * (i - previous - 2);
+    }
+    score += fuzzyWeights.matchCharacter + bonus;
+    positions.push(i);
+    t++;
+  }
+  if (score <= 0) return null;
+
+  const maximumScore = term.length * (fuzzyWeights.matchCharacter + fuzzyWeights.wordStart) +
+    fuzzyWeights.wordStart * (fuzzyWeights.firstCharacterMultiplier - 1);
+  return { quality: Math.min(1, score / maximumScore), positions };
+}
+
 // Returns a number between [0, 1] indicating how often the query terms appear in the url and title.
 export function wordRelevancy(queryTerms, url, title) {
   let titleCount, titleScore;
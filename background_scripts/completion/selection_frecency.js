@@ -0,0 +1,89 @@
+// Learns which suggestions the user picks in the Vomnibar for the queries they type, so that those
+// suggestions are ranked higher the next time the user types the same query, or the start of it.
+// For each query and chosen URL we keep a "frecency" score, which goes up by one each time the user
+// picks the URL for that query, and halves every two weeks. The scores are kept in
+// chrome.storage.local, as { query: { url: { score, selectedAt } } }.
+const SelectionFrecency = {
+  storageKey: "vomnibarSelections",
+  halfLife: 14 * 24 * 60 * 60 * 1000,
+  // Entries whose scores have decayed below this are dropped.
+  minimumScore: 0.1,
+  // The maximum number of queries to remember. Those whose selections are the least recent are
+  // dropped.
+  maxQueries: 1000,
+
+  async getSelections() {
+    return (await chrome.storage.local.get(this.storageKey))[this.storageKey] ?? {};
+  },
+
+  normalizeQuery(query) {
+    return query.trim().toLowerCase().split(/\s+/).join(" ");
+  },
+
+  // Returns the score of `entry` at time `now`, allowing for its decay since it was selected.
+  decayedScore({ score, selectedAt }, now) {
+    return score * Math.pow(0.5, (now - selectedAt) / this.halfLife);
+  },
+
+  async recordSelection(query, url) {
+    query = this.normalizeQuery(query);
+    if (query.length == 0 || !url) return;
+    const selections = await this.getSelections();
+    const now = Date.now();
+    const urlToEntry = selections[query] ?? {};
+    const previousScore = urlToEntry[url] ? this.decayedScore(urlToEntry[url], now) : 0;
+    urlToEntry[url] = { score: previousScore + 1, selectedAt: now };
+    selections[query] = urlToEntry;
+    await this.save(selections, now);
+  },
+
+  // Forgets every selection of `url`, e.g. when the user asks for a suggestion to no longer be
+  // boosted.
+  async forgetUrl(url) {
+    const selections = await this.getSelections();
+    for (const urlToEntry of Object.values(selections)) {
+      delete urlToEntry[url];
+    }
+    await this.save(selections, Date.now());
+  },
+
+  // Saves `selections`, without the entries which have decayed away or which exceed maxQueries.
+  async save(selections, now) {
+    const queryToSelectedAt = {};
+    for (const [query, urlToEntry] of Object.entries(selections)) {
+      for (const [url, entry] of Object.entries(urlToEntry)) {
+        if (this.decayedScore(entry, now) < this.minimumScore) delete urlToEntry[url];
+      }
+      const entries = Object.values(urlToEntry);
+      if (entries.length == 0) continue;
+      queryToSelectedAt[query] = Math.max(...entries.map((entry) => entry.selectedAt));
+    }
+    const queries = Object.keys(queryToSelectedAt)
+      .sort((a, b) => queryToSelectedAt[b] - queryToSelectedAt[a])
+      .slice(0, this.maxQueries);
+    const pruned = Object.fromEntries(queries.map((query) => [query, selections[query]]));
+    await chrome.storage.local.set({ [this.storageKey]: pruned });
+  },
+
+  // Returns a Map of URL to boost for the URLs which the user has picked for `query`, or for a
+  // query which begins with it. Each boost is between 0 and 1, and grows with the URL's scores.
+  async getBoosts(query) {
+    const urlToBoost = new Map();
+    query = this.normalizeQuery(query);
+    if (query.length == 0) return urlToBoost;
+    const selections = await this.getSelections();
+    const now = Date.now();
+    for (const [selectedQuery, urlToEntry] of Object.entries(selections)) {
+      if (!selectedQuery.startsWith(query)) continue;
+      for (const [url, entry] of Object.entries(urlToEntry)) {
+        urlToBoost.set(url, (urlToBoost.get(url) ?? 0) + this.decayedScore(entry, now));
+      }
+    }
+    for (const [url, score] of urlToBoost) {
+      urlToBoost.set(url, score / (score + 1));
+    }
+    return urlToBoost;
+  },
+};
+
+export { SelectionFrecency };
@@ -18,6 +18,8 @@ import {
   DomainCompleter,
   HistoryCompleter,
   MultiCompleter,
+  OtherDevicesCompleter,
+  RecentlyClosedCompleter,
   SearchEngineCompleter,
   TabCompleter,
 } from "./completion/completers.js";
@@ -28,6 +30,7 @@ import {
 // conversion.
 
 import * as TabOperations from "./tab_operations.js";
+import { SelectionFrecency } from "./completion/selection_frecency.js";
 
 // Allow Vimium's content scripts to access chrome.storage.session. Otherwise,
 // chrome.storage.session will be null in content scripts.
@@ -48,6 +51,8 @@ const completionSources = {
   history: new HistoryCompleter(),
   domains: new DomainCompleter(),
   tabs: new TabCompleter(),
+  recentlyClosed: new RecentlyClosedCompleter(),
+  otherDevices: new OtherDevicesCompleter(),
   searchEngines: new SearchEngineCompleter(),
 };
 
@@ -58,10 +63,16 @@ const completers = {
     completionSources.domains,
     completionSources.tabs,
     completionSources.searchEngines,
-  ]),
+  ], {
+    bookmarks: completionSources.bookmarks,
+    history: completionSources.history,
+    tabs: completionSources.tabs,
+    commands: completionSources.commands,
+  }),
   bookmarks: new MultiCompleter([completionSources.bookmarks]),
   commands: new MultiCompleter([completionSources.commands]),
   tabs: new MultiCompleter([completionSources.tabs]),
+  sessions: new MultiCompleter([completionSources.recentlyClosed, completionSources.otherDevices]),
 };
 
 // A query dictionary for `chrome.tabs.query` that will return only the visible tabs.
@@ -111,11 +122,11 @@ function toggleMuteTab(request, sender) {
   const tabId = request.tabId;
   const registryEntry = request.registryEntry;
 
-  if ((registryEntry.options.all != null) || (registryEntry.options.other != null)) {
+  if (registryEntry.options.all || registryEntry.options.other) {
     // If there are any audible, unmuted tabs, then we mute them; otherwise we unmute any muted tabs.
     chrome.tabs.query({ audible: true }, function (tabs) {
       let tab;
-      if (registryEntry.options.other != null) {
+      if (registryEntry.options.other) {
         tabs = tabs.filter((t) => t.id !== currentTab.id);
       }
       const audibleUnmutedTabs = tabs.filter((t) => t.audible && !t.mutedInfo.muted);
@@ -337,6 +348,58 @@ const BackgroundCommands = {
   restoreTab: createRepeatCommand(async (request) => {
     await chrome.sessions.restore(null);
   }),
+  // Restores the closed tab or window, or the tab from another device, with the given session ID.
+  // This isn't a command which can be mapped to a key; the Vomnibar uses it when the user picks a
+  // suggestion from RecentlyClosedCompleter or OtherDevicesCompleter.
+  async restoreSession({ sessionId }) {
+    await chrome.sessions.restore(sessionId);
+  },
+  // Runs the window's last dot-repeatable command again, in the frame where this command was typed.
+  // A count replaces the repeated command's count. The last command is per window rather than per
+  // tab, so that commands which close or leave their tab, like removeTab, can be repeated.
+  async repeatLastCommand({ count, tabId, tab }, sender) {
+    const lastCommand = await getLastCommand(tab.windowId);
+    if (lastCommand == null) return;
+    await chrome.tabs.sendMessage(tabId, {
+      handler: "runNormalModeCommand",
+      command: lastCommand.registryEntry,
+      count: count ?? lastCommand.count,
+    }, { frameId: sender.frameId });
+  },
+  // Switches to the settings profile named by the `name` option, or else to the next profile. With
+  // the `window` option, only the current window switches profile.
+  async switchProfile({ tab, tabId, registryEntry }, sender) {
+    const { name, window } = registryEntry.options;
+    const showMessage = (message) =>
+      chrome.tabs.sendMessage(tabId, { frameId: sender.frameId, handler: "showMessage", message });
+    const names = Settings.getProfileNames();
+    let profile;
+    if (name != null) {
+      if (name != "" && !names.includes(name)) {
+        showMessage(`There is no settings profile named "${name}".`);
+        return;
+      }
+      profile = name;
+    } else {
+      let current = Settings.get("activeProfile");
+      if (window) current = (await Settings.getWindowProfile(tab.windowId)) ?? current;
+      const cycle = [""].concat(names);
+      profile = cycle[(cycle.indexOf(current) + 1) % cycle.length];
+    }
+    if (window) {
+      await Settings.setWindowProfile(tab.windowId, profile);
+    } else {
+      // This window's own profile would hide the change, so switch it too.
+      await Settings.setWindowProfile(tab.windowId, null);
+      await Settings.set("activeProfile", profile);
+    }
+    const scope = window ? " for this window" : "";
+    showMessage(
+      profile
+        ? `Switched to the "${profile}" settings profile${scope}.`
+        : `Switched to the default settings${scope}.`,
+    );
+  },
   async togglePinTab({ count, tab }) {
     await forCountTabs(count, tab, (tab) => {
       chrome.tabs.update(tab.id, { pinned: !tab.pinned });
@@ -526,7 +589,7 @@ const HintCoordinator = {
   async prepareToActivateLinkHintsMode(
     tabId,
     originatingFrameId,
-    { modeIndex, requestedByHelpDialog, isExtensionPage },
+    { modeIndex, modeOptions, requestedByHelpDialog, isExtensionPage },
   ) {
     const frameIds = await getFrameIdsForTab(tabId);
     // If link hints was triggered on a Vimium extension page (like the vimium help dialog or
@@ -544,6 +607,7 @@ const HintCoordinator = {
           handler: "linkHintsMessage",
           messageType: "getHintDescriptors",
           modeIndex,
+          modeOptions,
           requestedByHelpDialog,
         },
         { frameId },
@@ -552,21 +616,24 @@ const HintCoordinator = {
       promise = Utils.promiseWithTimeout(promise, timeout)
         .catch((error) => Utils.debugLog("Swallowed getHintDescriptors error:", error));
 
-      const descriptors = await promise;
+      const response = await promise;
 
       return {
         frameId,
-        descriptors,
+        response,
       };
     });
 
     const responses = (await Promise.all(promises))
-      .filter((r) => r.descriptors != null);
+      .filter((r) => r.response != null);
 
     const frameIdToDescriptors = {};
-    for (const { frameId, descriptors } of responses) {
-      frameIdToDescriptors[frameId] = descriptors;
+    const frameIdToChildFrameRects = {};
+    for (const { frameId, response } of responses) {
+      frameIdToDescriptors[frameId] = response.hintDescriptors;
+      frameIdToChildFrameRects[frameId] = response.childFrameRects;
     }
+    const frameIdToOffset = this.getFrameOffsets(frameIdToChildFrameRects);
 
     promises = responses.map(({ frameId }) => {
       // Don't send this frame's own link hints back to it -- they're already stored in that frame's
@@ -582,7 +649,9 @@ const HintCoordinator = {
           frameId: frameId,
           originatingFrameId: originatingFrameId,
           frameIdToHintDescriptors: outgoingFrameIdToHintDescriptors,
+          frameIdToOffset,
           modeIndex: modeIndex,
+          modeOptions: modeOptions,
         },
         { frameId },
       ).catch((error) => {
@@ -598,8 +667,42 @@ const HintCoordinator = {
     });
     await Promise.all(promises);
   },
+
+  // Returns the position of each frame's viewport within the top frame's viewport, as
+  // { frameId: { left, top } }, so that the content scripts can put the hints from every frame in
+  // visual order. Each frame reports the positions of its child frames within its own viewport, in
+  // `frameIdToChildFrameRects`. Frames whose parent didn't report them have no position.
+  getFrameOffsets(frameIdToChildFrameRects) {
+    const frameIdToOffset = { 0: { left: 0, top: 0 } };
+    const queue = [0];
+    while (queue.length > 0) {
+      const parentFrameId = queue.shift();
+      const parentOffset = frameIdToOffset[parentFrameId];
+      const childFrameRects = frameIdToChildFrameRects[parentFrameId] ?? {};
+      for (const [frameId, rect] of Object.entries(childFrameRects)) {
+        if (frameId in frameIdToOffset) continue;
+        frameIdToOffset[frameId] = {
+          left: parentOffset.left + rect.left,
+          top: parentOffset.top + rect.top,
+        };
+        queue.push(frameId);
+      }
+    }
+    return frameIdToOffset;
+  },
 };
 
+// The last dot-repeatable command run in each window is kept in chrome.storage.session, because
+// the background page may be unloaded between the command and its repetition.
+function getLastCommandStorageKey(windowId) {
+  return `lastCommand|${windowId}`;
+}
+
+async function getLastCommand(windowId) {
+  const key = getLastCommandStorageKey(windowId);
+  return (await chrome.storage.session.get(key))[key];
+}
+
 const sendRequestHandlers = {
   runBackgroundCommand(request, sender) {
     return BackgroundCommands[request.registryEntry.command](request, sender);
@@ -610,6 +713,17 @@ const sendRequestHandlers = {
   runNormalModeCommand(request, sender) {
     chrome.tabs.sendMessage(sender.tab.id, request);
   },
+  // Records the last dot-repeatable command run in a window, for repeatLastCommand. The "count" is
+  // the count the user typed, which may be null.
+  async setLastCommand({ registryEntry, count, tab }) {
+    await chrome.storage.session.set({
+      [getLastCommandStorageKey(tab.windowId)]: { registryEntry, count },
+    });
+  },
+  // Used by the options page to fetch the key mappings at the keyMappingsUrl setting on demand.
+  reloadRemoteKeyMappings() {
+    return Commands.reloadRemoteKeyMappings();
+  },
   // getCurrentTabUrl is used by the content scripts to get their full URL, because window.location
   // cannot help with Chrome-specific URLs like "view-source:http:..".
   getCurrentTabUrl({ tab }) {
@@ -618,6 +732,27 @@ const sendRequestHandlers = {
   openUrlInNewTab: createRepeatCommand(async (request, callback) => {
     await TabOperations.openUrlInNewTab(request, callback);
   }),
+  // Opens `urls` in new background tabs after the current tab, in order. This is used by link hints
+  // when acting on multiple links.
+  // The tabs are opened next to `tab`, in the order of `urls`. A URL which the browser won't open
+  // in a tab (e.g. a javascript: URL) is skipped, rather than stopping the others from opening.
+  async openUrlsInNewTabs({ urls, tab }) {
+    let index = tab.index + 1;
+    for (const url of urls) {
+      try {
+        await chrome.tabs.create({
+          url,
+          windowId: tab.windowId,
+          index,
+          active: false,
+          openerTabId: tab.id,
+        });
+        index++;
+      } catch (error) {
+        Utils.debugLog("Couldn't open %s in a new tab:", url, error);
+      }
+    }
+  },
   async openUrlInNewWindow(request) {
     await TabOperations.openUrlInNewWindow(request);
   },
@@ -651,6 +786,29 @@ const sendRequestHandlers = {
 
   nextFrame: BackgroundCommands.nextFrame,
   selectSpecificTab,
+  // Closes the tab with the ID specified in request.id.
+  async closeSpecificTab({ id }) {
+    await chrome.tabs.remove(id);
+  },
+  // Moves the tab with the ID specified in request.id to the end of the current window, and selects
+  // it.
+  async moveSpecificTabToCurrentWindow({ id, tab }) {
+    await chrome.tabs.move(id, { windowId: tab.windowId, index: -1 });
+    await chrome.tabs.update(id, { active: true });
+  },
+  // Bookmarks request.url, or removes its bookmarks if it's already bookmarked. Returns whether the
+  // URL is now bookmarked.
+  async toggleBookmark({ url, title }) {
+    const bookmarks = await chrome.bookmarks.search({ url });
+    if (bookmarks.length > 0) {
+      for (const bookmark of bookmarks) {
+        await chrome.bookmarks.remove(bookmark.id);
+      }
+      return false;
+    }
+    await chrome.bookmarks.create({ url, title });
+    return true;
+  },
   createMark: marks.create,
   gotoMark: marks.goto,
   // Send a message to all frames in the current tab. If request.frameId is provided, then send
@@ -714,6 +872,7 @@ const sendRequestHandlers = {
       isFirefox: bgUtils.isFirefox(),
       firefoxVersion: await bgUtils.getFirefoxVersion(),
       frameId: sender.frameId,
+      windowId: sender.tab.windowId,
     }, enabledState);
 
     return response;
@@ -739,6 +898,18 @@ const sendRequestHandlers = {
     return response;
   },
 
+  restoreSession(request) {
+    return BackgroundCommands.restoreSession(request);
+  },
+
+  async recordVomnibarSelection({ query, url }) {
+    await SelectionFrecency.recordSelection(query, url);
+  },
+
+  async forgetVomnibarSelections({ url }) {
+    await SelectionFrecency.forgetUrl(url);
+  },
+
   refreshCompletions(request) {
     const completer = completers[request.completerName];
     completer.refresh();
@@ -799,6 +970,12 @@ chrome.tabs.onRemoved.addListener(function (tabId) {
   });
 });
 
+// Forget the settings profile chosen for a window once it's closed.
+chrome.windows.onRemoved.addListener((windowId) => {
+  Settings.setWindowProfile(windowId, null);
+  chrome.storage.session.remove(getLastCommandStorageKey(windowId));
+});
+
 // Convenience function for development use.
 globalThis.runTests = () => open(chrome.runtime.getURL("tests/dom_tests/dom_tests.html"));
 
@@ -926,6 +1103,10 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 chrome.runtime.onStartup.addListener(async () => {
   Utils.debugLog("chrome.runtime.onStartup");
   await initializeExtension();
+  // Pick up any changes to the user's remote key mappings since the browser was last running.
+  if (Settings.get("keyMappingsUrl")) {
+    await Commands.reloadRemoteKeyMappings();
+  }
 });
 
 Object.assign(globalThis, {
@@ -933,6 +1114,7 @@ Object.assign(globalThis, {
   // Exported for tests:
   HintCoordinator,
   BackgroundCommands,
+  sendRequestHandlers,
   majorVersionHasIncreased,
   nextZoomLevel,
 });
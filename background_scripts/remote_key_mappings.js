@@ -0,0 +1,111 @@
+// Fetches key mappings from the URL in the "keyMappingsUrl" setting, e.g. a vimiumrc file in the
+// user's dotfiles repo, on a local server, or on disk, so that they can be kept outside of Vimium.
+// Commands.loadKeyMappings applies these mappings after the user's inline "keyMappings" setting.
+// The last version which was fetched successfully is cached in chrome.storage.local, so that the
+// mappings are still available when the URL can't be reached.
+const RemoteKeyMappings = {
+  storageKey: "remoteKeyMappings",
+
+  supportedProtocols: ["http:", "https:", "file:"],
+
+  // The fetch which is in progress, as { url, promise }. Saving the keyMappingsUrl setting in the
+  // options page both changes the setting, which Commands listens to, and asks for a reload, so
+  // concurrent updates of the same URL share one fetch.
+  pendingUpdate: null,
+
+  isSupportedUrl(url) {
+    try {
+      return this.supportedProtocols.includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  },
+
+  isFileUrl(url) {
+    return this.isSupportedUrl(url) && new URL(url).protocol == "file:";
+  },
+
+  // fetch() doesn't support file:// URLs, so they're read with XMLHttpRequest. The background
+  // service worker doesn't have XMLHttpRequest, so there they're only read by the options page, and
+  // the background page uses the version which the options page cached.
+  canRead(url) {
+    return !this.isFileUrl(url) || globalThis.XMLHttpRequest != null;
+  },
+
+  // Returns { url, text, fetchedAt, error }, or null if no config has been fetched. `text` is the
+  // last version of the config which was fetched successfully (or null), and `error` describes why
+  // the most recent fetch failed.
+  async getCache() {
+    return (await chrome.storage.local.get(this.storageKey))[this.storageKey] ?? null;
+  },
+
+  // Returns the cached config text for `url`, the keyMappingsUrl setting, or "" if there isn't one.
+  async getText(url) {
+    const cache = await this.getCache();
+    if (!url || cache?.url != url) return "";
+    return cache.text ?? "";
+  },
+
+  // Whether the cache is for a different URL than `url`, the keyMappingsUrl setting.
+  async isStale(url) {
+    const cache = await this.getCache();
+    return (cache?.url ?? "") != url;
+  },
+
+  // Fetches the config from `url`, the keyMappingsUrl setting, and caches it. Returns the new cache
+  // entry, or for a URL which can't be read here (see canRead), the current one.
+  update(url) {
+    if (this.pendingUpdate?.url != url) {
+      const promise = this.fetchAndCache(url).finally(() => {
+        if (this.pendingUpdate?.promise == promise) this.pendingUpdate = null;
+      });
+      this.pendingUpdate = { url, promise };
+    }
+    return this.pendingUpdate.promise;
+  },
+
+  async fetchAndCache(url) {
+    if (!url) {
+      await chrome.storage.local.remove(this.storageKey);
+      return null;
+    }
+    const cache = await this.getCache();
+    if (!this.canRead(url)) return cache?.url == url ? cache : null;
+    const entry = cache?.url == url ? cache : { url, text: null, fetchedAt: null };
+    try {
+      if (!this.isSupportedUrl(url)) {
+        throw new Error("only http, https and file URLs are supported");
+      }
+      const text = this.isFileUrl(url) ? await this.readFile(url) : await this.fetchText(url);
+      Object.assign(entry, { text, fetchedAt: Date.now(), error: null });
+    } catch (error) {
+      entry.error = `Failed to fetch ${url}: ${error.message}`;
+    }
+    await chrome.storage.local.set({ [this.storageKey]: entry });
+    return entry;
+  },
+
+  async fetchText(url) {
+    // Always fetch the latest version, since the point of reloading is to pick up edits.
+    const response = await fetch(url, { cache: "no-store" });
+    if (!response.ok) {
+      throw new Error(`the server responded with status ${response.status}`);
+    }
+    return await response.text();
+  },
+
+  readFile(url) {
+    return new Promise((resolve, reject) => {
+      const request = new XMLHttpRequest();
+      request.open("GET", url);
+      request.onload = () => resolve(request.responseText);
+      // The browser doesn't say why a file couldn't be read, but this is the usual reason.
+      const message = 'the file couldn\'t be read. Check that "Allow access to file URLs" is ' +
+        "turned on for Vimium in the browser's extension settings";
+      request.onerror = () => reject(new Error(message));
+      request.send();
+    });
+  },
+};
+
+export { RemoteKeyMappings };
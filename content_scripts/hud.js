@@ -184,6 +184,18 @@ const HUD = {
     this.hudUI.postMessage({ name: "copyToClipboard", data: text });
   },
 
+  // Copies `url`, and shows it in the HUD.
+  copyUrlToClipboard(url) {
+    this.copyToClipboard(url);
+    // This length is determined empirically based on a 350px width of the HUD. An alternate
+    // solution is to have the HUD ellipsize based on its width.
+    const maxLength = 40;
+    if (url.length > maxLength) {
+      url = url.slice(0, maxLength - 2) + "...";
+    }
+    this.show(`Yanked ${url}`, 2000);
+  },
+
   async pasteFromClipboard(pasteListener) {
     this.pasteListener = pasteListener;
     await DomUtils.documentComplete();
@@ -0,0 +1,170 @@
+// Records the keys typed in normal and visual modes into registers, and replays them. This works
+// like Vim's macros: `q` followed by a register key starts recording, `q` stops recording, and `@`
+// followed by a register key replays the recorded keys. `@@` replays the most recently replayed
+// register. Recordings are stored in chrome.storage.local, so they survive reloads and can be
+// replayed in other tabs.
+//
+// Only the keys which KeyHandlerMode sees (the keys of normal and visual mode commands) are
+// recorded. Keys typed into other modes, such as the hint characters of link hints, or the text
+// typed into the Vomnibar or find mode, are not recorded. So such commands are best recorded last:
+// when they're replayed, the user completes them.
+const KeyRecorder = {
+  // The register which keys are being recorded into, or null if we're not recording.
+  recordingRegister: null,
+  // The keys recorded so far, as dictionaries which can be passed to the KeyboardEvent constructor.
+  recordedKeys: [],
+  lastReplayedRegister: null,
+  // The key events sent by replayKeys, mapped to the replay which sent them: { registers,
+  // pendingCommands }. `registers` are the registers being replayed; a register may replay other
+  // registers, but not itself. `pendingCommands` are the promises of the commands started by the
+  // replayed keys, which the replay waits for before sending the next key. Keys which the user types
+  // during a replay aren't in here, so they're recorded and handled as usual.
+  replayedEvents: new WeakMap(),
+  mode: null,
+
+  exit(continuation = null) {
+    if (this.mode != null) {
+      this.mode.exit();
+    }
+    this.mode = null;
+    if (continuation) {
+      continuation();
+    }
+  },
+
+  // This returns the key which is used for storing a register's keys in chrome.storage.local.
+  getStorageKey(register) {
+    return `vimiumKeyRecording|${register}`;
+  },
+
+  isRecording() {
+    return this.recordingRegister != null;
+  },
+
+  // The properties of a keydown event which we need to recreate it when replaying.
+  describeKeyEvent(event) {
+    const { key, code, altKey, ctrlKey, metaKey, shiftKey } = event;
+    return { key, code, altKey, ctrlKey, metaKey, shiftKey };
+  },
+
+  // Called by KeyHandlerMode with the keydown events which made up a command, after that command
+  // has been run. Replayed keys are not recorded a second time.
+  recordKeys(events) {
+    if (!this.isRecording()) return;
+    for (const event of events) {
+      if (!this.replayedEvents.has(event)) this.recordedKeys.push(this.describeKeyEvent(event));
+    }
+  },
+
+  // Called with the result of each command run by KeyHandlerMode, and of each register replay, and
+  // the key events which started it, so that a replay can wait for the commands started by its
+  // keys to finish before sending the next key.
+  waitFor(result, events) {
+    this.replayedEvents.get(events.at(-1))?.pendingCommands.push(result);
+  },
+
+  // Enters a mode which waits for the user to type a register key, and then calls `callback` with
+  // that key and its keydown event.
+  activateRegisterMode(name, indicator, callback) {
+    this.mode = new Mode();
+    this.mode.init({
+      name,
+      indicator,
+      exitOnEscape: true,
+      suppressAllKeyboardEvents: true,
+      keydown: (event) => {
+        if (KeyboardUtils.isPrintable(event)) {
+          const register = KeyboardUtils.getKeyChar(event);
+          this.exit(() => this.waitFor(callback(register, event), [event]));
+          return handlerStack.suppressEvent;
+        }
+      },
+    });
+  },
+
+  async toggleRecording() {
+    if (this.isRecording()) {
+      const register = this.recordingRegister;
+      const keys = this.recordedKeys;
+      this.recordingRegister = null;
+      this.recordedKeys = [];
+      await chrome.storage.local.set({ [this.getStorageKey(register)]: keys });
+      HUD.show(`Recorded ${keys.length} key(s) into register "${register}".`, 1000);
+    } else {
+      this.activateRegisterMode("record-keys", "Record into register...", (register) => {
+        // "@" is reserved for replaying the most recently replayed register.
+        if (register == "@") {
+          HUD.show(`Cannot record into register "${register}".`, 1000);
+          return;
+        }
+        this.recordingRegister = register;
+        this.recordedKeys = [];
+        HUD.show(`Recording into register "${register}".`, 1000);
+      });
+    }
+  },
+
+  activateReplayMode(count) {
+    this.activateRegisterMode("replay-keys", "Replay register...", async (register, event) => {
+      // If this register is being replayed by another register's keys, these are the registers
+      // being replayed.
+      const replay = this.replayedEvents.get(event);
+      const replayingRegisters = new Set(replay?.registers);
+      // The register key isn't seen by KeyHandlerMode, so record it here. Otherwise, replaying a
+      // recording which itself replays a register would wait for the user to type the register.
+      if (this.isRecording() && !replay) {
+        this.recordedKeys.push(this.describeKeyEvent(event));
+      }
+      if (register == "@") {
+        register = this.lastReplayedRegister;
+        if (register == null) {
+          HUD.show("No register has been replayed yet.", 1000);
+          return;
+        }
+      }
+      if (replayingRegisters.has(register)) {
+        HUD.show(`Register "${register}" cannot replay itself.`, 1000);
+        return;
+      }
+      const storageKey = this.getStorageKey(register);
+      const keys = (await chrome.storage.local.get(storageKey))[storageKey];
+      if (keys == null || keys.length == 0) {
+        HUD.show(`Register "${register}" is empty.`, 1000);
+        return;
+      }
+      this.lastReplayedRegister = register;
+      replayingRegisters.add(register);
+      await this.replayKeys(keys, count, replayingRegisters);
+    });
+  },
+
+  // Feeds the recorded keys through the handler stack, as if the user had typed them, `count`
+  // times. Each keydown is followed by a keyup, so that modes which wait for the key to be
+  // released (e.g. to stop smooth scrolling) behave as they would for typed keys. Many commands
+  // finish asynchronously, so we replay one key at a time, and wait for them to settle in between.
+  // - registers: the registers being replayed, including the one whose keys these are.
+  async replayKeys(keys, count, registers) {
+    const replay = { registers, pendingCommands: [] };
+    for (let i = 0; i < count; i++) {
+      for (const keyEventInit of keys) {
+        for (const type of ["keydown", "keyup"]) {
+          const event = new KeyboardEvent(type, keyEventInit);
+          this.replayedEvents.set(event, replay);
+          handlerStack.bubbleEvent(type, event);
+        }
+        await this.waitUntilSettled(replay);
+      }
+    }
+  },
+
+  // Waits until the commands started by the keys which `replay` has sent so far have finished.
+  async waitUntilSettled(replay) {
+    while (replay.pendingCommands.length > 0) {
+      const pendingCommands = replay.pendingCommands;
+      replay.pendingCommands = [];
+      await Promise.allSettled(pendingCommands);
+    }
+  },
+};
+
+globalThis.KeyRecorder = KeyRecorder;
@@ -61,6 +61,10 @@ class HintDescriptor {
   frameId; // The frameId that the hint is local to.
   localIndex; // An index into the owner frame's localHints.
   linkText; // The link's text. This is non-null only for FilterHints.
+  url; // The link's URL. This is non-null only for modes which act on multiple links.
+  // The hint's { left, top, height } within its frame's viewport, used to put the hints of every
+  // frame in visual order.
+  rect;
   constructor(o) {
     Object.seal(this);
     if (o) Object.assign(this, o);
@@ -131,6 +135,64 @@ const COPY_LINK_TEXT = {
     }
   },
 };
+// Copies part of the element, as chosen by the options of the LinkHints.activateModeToCopy command.
+// See getTextToCopy. With what=src, the hints are on the media elements matched by srcSelector
+// rather than on links.
+const COPY_FROM_ELEMENT = {
+  name: "copy-from-element",
+  indicator: "Copy from link",
+  srcSelector: "img, video, audio, canvas",
+  linkActivator(element, modeOptions) {
+    let text = getTextToCopy(element, modeOptions);
+    if (text) {
+      HUD.copyToClipboard(text);
+      if (28 < text.length) text = text.slice(0, 26) + "....";
+      HUD.show(`Yanked ${text}`, 2000);
+    } else {
+      HUD.show("Nothing to yank.", 2000);
+    }
+  },
+};
+
+// Returns the text which COPY_FROM_ELEMENT copies from `element`, or null if there's none.
+// - attribute: the name of an attribute to copy. This takes precedence over `what`.
+// - what: one of "text" (the default), "href", "src", "markdown" (a Markdown link to the href) or
+//   "html".
+function getTextToCopy(element, { what, attribute }) {
+  if (attribute) return element.getAttribute(attribute);
+  const text = element.textContent.trim();
+  switch (what ?? "text") {
+    case "text":
+      return text;
+    case "href":
+      return getLinkUrl(element);
+    case "src":
+      return getMediaUrl(element);
+    case "markdown": {
+      const href = getLinkUrl(element);
+      if (!href) return null;
+      const label = text.replace(/\s+/g, " ").replace(/[\\\[\]]/g, "\\$&");
+      const url = href.replaceAll("(", "%28").replaceAll(")", "%29")
+        .replaceAll(" ", "%20");
+      return `[${label}](${url})`;
+    }
+    case "html":
+      return element.outerHTML;
+  }
+}
+
+// Selects text starting at a block of text, rather than acting on a link. See
+// LocalHints.getTextBlockHints.
+const SELECT_TEXT_BLOCK = {
+  name: "select-text-block",
+  indicator: "Select text",
+  hintsTextBlocks: true,
+  linkActivator(element, { mode }) {
+    const modes = { caret: CaretMode, visual: VisualMode, line: VisualLineMode };
+    new modes[mode ?? "caret"]().init({ anchorElement: element });
+  },
+};
+
 const HOVER_LINK = {
   name: "hover-link",
   indicator: "Hover link",
@@ -146,6 +208,218 @@ const FOCUS_LINK = {
   },
 };
 
+// These modes act on images, videos, audio and canvases rather than on links. A mode's
+// mediaSelector selects the elements which it shows hints for. See LocalHints.getMediaHints.
+const OPEN_MEDIA_IN_NEW_TAB = {
+  name: "open-media-in-new-tab",
+  indicator: "Open image in new tab",
+  mediaSelector: "img, video, audio, canvas",
+  linkActivator(element) {
+    const url = getMediaUrl(element);
+    if (url) {
+      chrome.runtime.sendMessage({ handler: "openUrlInNewTab", url });
+    } else {
+      HUD.show("No image to open.", 2000);
+    }
+  },
+};
+const COPY_MEDIA_URL = {
+  name: "copy-media-url",
+  indicator: "Copy image URL to Clipboard",
+  mediaSelector: "img, video, audio, canvas",
+  linkActivator(element) {
+    let url = getMediaUrl(element);
+    if (url) {
+      HUD.copyToClipboard(url);
+      if (28 < url.length) url = url.slice(0, 26) + "....";
+      HUD.show(`Yanked ${url}`, 2000);
+    } else {
+      HUD.show("No image URL to yank.", 2000);
+    }
+  },
+};
+const DOWNLOAD_MEDIA = {
+  name: "download-media",
+  indicator: "Download image",
+  mediaSelector: "img, video, audio, canvas",
+  linkActivator(element) {
+    const url = getMediaUrl(element);
+    if (!url) {
+      HUD.show("No image to download.", 2000);
+      return;
+    }
+    // Download the URL in the same way as DOWNLOAD_LINK_URL, by clicking on a link to it.
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "";
+    DomUtils.simulateClick(link, DOWNLOAD_LINK_URL.clickModifiers);
+  },
+};
+const TOGGLE_MEDIA_PLAYBACK = {
+  name: "toggle-media-playback",
+  indicator: "Play or pause",
+  mediaSelector: "video, audio",
+  linkActivator(element) {
+    if (element.paused) {
+      element.play().catch((error) => HUD.show(`Unable to play: ${error.message}`, 2000));
+    } else {
+      element.pause();
+    }
+  },
+};
+const TOGGLE_MEDIA_MUTE = {
+  name: "toggle-media-mute",
+  indicator: "Mute or unmute",
+  mediaSelector: "video, audio",
+  linkActivator(element) {
+    element.muted = !element.muted;
+    HUD.show(element.muted ? "Muted." : "Unmuted.", 1000);
+  },
+};
+const TOGGLE_PICTURE_IN_PICTURE = {
+  name: "toggle-picture-in-picture",
+  indicator: "Picture-in-picture",
+  mediaSelector: "video",
+  linkActivator(element) {
+    if (document.pictureInPictureElement === element) {
+      document.exitPictureInPicture();
+    } else if (element.requestPictureInPicture) {
+      element.requestPictureInPicture()
+        .catch((error) => HUD.show(`Unable to enter picture-in-picture: ${error.message}`, 2000));
+    } else {
+      HUD.show("Picture-in-picture isn't supported by this browser.", 2000);
+    }
+  },
+};
+const TOGGLE_FULLSCREEN = {
+  name: "toggle-fullscreen",
+  indicator: "Toggle fullscreen",
+  mediaSelector: "img, video, canvas",
+  linkActivator(element) {
+    if (document.fullscreenElement === element) {
+      document.exitFullscreen();
+    } else {
+      element.requestFullscreen()
+        .catch((error) => HUD.show(`Unable to enter fullscreen: ${error.message}`, 2000));
+    }
+  },
+};
+
+// Returns the absolute URL which `element` links to, or null if there's none. The href of an SVG
+// <a> is an SVGAnimatedString of the URL as written in the page, so we resolve it ourselves.
+function getLinkUrl(element) {
+  const href = element.href;
+  if (href?.baseVal == null) return href || null;
+  if (!href.baseVal) return null;
+  try {
+    return new URL(href.baseVal, element.baseURI).href;
+  } catch {
+    return null;
+  }
+}
+
+// True if opening `url` in a new tab would load a page. Links with javascript: URLs, or to a
+// fragment of this page (e.g. href="#"), are handled by the page's scripts when they're clicked.
+function isNavigableUrl(url) {
+  if (!url || url.startsWith("javascript:")) return false;
+  const withoutFragment = (str) => str.split("#")[0];
+  return !url.includes("#") || withoutFragment(url) != withoutFragment(globalThis.location.href);
+}
+
+// Returns the URL of an image, video or audio element, or a data URL with the contents of a canvas.
+// Returns null if there's none, e.g. when a canvas contains images from other origins.
+function getMediaUrl(element) {
+  if (element.localName == "canvas") {
+    try {
+      return element.toDataURL();
+    } catch {
+      return null;
+    }
+  }
+  return element.currentSrc || element.src || null;
+}
+
+// Uses inputs, selects, checkboxes and radio buttons rather than links. See
+// LocalHints.getFormControlHints.
+const USE_FORM_CONTROL = {
+  name: "use-form-control",
+  indicator: "Use form control",
+  hintsFormControls: true,
+  linkActivator(element) {
+    activateFormControl(element);
+  },
+};
+
+// The input types which have a picker, such as a calendar for choosing a date.
+const pickerInputTypes = ["date", "datetime-local", "month", "week", "time", "color", "file"];
+
+// Activates a form control in the way which is natural for its type: checkboxes, radio buttons and
+// buttons are clicked, selects move to their next option, inputs with a picker open it, and text
+// fields are focused with their contents selected.
+function activateFormControl(element) {
+  const type = element.localName == "input" ? element.type : element.localName;
+  if (["checkbox", "radio", "button", "submit", "reset", "image"].includes(type)) {
+    DomUtils.simulateClick(element);
+  } else if (type == "select" && !element.multiple) {
+    const options = Array.from(element.options).filter((option) => !option.disabled);
+    if (options.length == 0) return;
+    const option = options.find((option) => option.index > element.selectedIndex) ?? options[0];
+    element.selectedIndex = option.index;
+    // Changing selectedIndex doesn't fire any events, but pages expect them when the user chooses
+    // an option.
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+    element.dispatchEvent(new Event("change", { bubbles: true }));
+    HUD.show(option.text, 1000);
+  } else if (pickerInputTypes.includes(type)) {
+    element.focus();
+    try {
+      element.showPicker();
+    } catch {
+      // showPicker isn't allowed in cross-origin frames. Clicking opens the picker for some types.
+      DomUtils.simulateClick(element);
+    }
+  } else {
+    element.focus();
+    if (element.isContentEditable) {
+      document.getSelection().selectAllChildren(element);
+    } else {
+      element.select?.();
+    }
+  }
+}
+
+// These modes act on several links at once. The user chooses the links either as a range, by typing
+// the hint of the first link and then the hint of the last link, or as every hint which matches what
+// they've typed so far, by typing Enter. Modes which have a multipleLinksActivator act on the links'
+// URLs from a single frame; the others click on each link.
+// Acting on more links than this at once, e.g. opening each of them in a new tab, needs the user's
+// confirmation. This matches the repeatLimit of commands like createTab.
+const MULTIPLE_LINKS_CONFIRMATION_LIMIT = 20;
+const OPEN_MULTIPLE_IN_NEW_BG_TABS = {
+  name: "open-multiple-in-new-background-tabs",
+  indicator: "Open links in new tabs",
+  selectsMultipleLinks: true,
+  multipleLinksActivator(urls) {
+    urls = urls.filter(isNavigableUrl);
+    chrome.runtime.sendMessage({ handler: "openUrlsInNewTabs", urls });
+  },
+};
+const COPY_MULTIPLE_LINK_URLS = {
+  name: "copy-multiple-link-urls",
+  indicator: "Copy link URLs to Clipboard",
+  selectsMultipleLinks: true,
+  multipleLinksActivator(urls) {
+    HUD.copyToClipboard(urls.join("\n"));
+    HUD.show(`Yanked ${urls.length} URL(s).`, 2000);
+  },
+};
+const DOWNLOAD_MULTIPLE_LINK_URLS = {
+  name: "download-multiple-link-urls",
+  indicator: "Download links",
+  selectsMultipleLinks: true,
+  clickModifiers: { altKey: true, ctrlKey: false, metaKey: false },
+};
+
 const availableModes = [
   OPEN_IN_CURRENT_TAB,
   OPEN_IN_NEW_BG_TAB,
@@ -157,6 +431,19 @@ const availableModes = [
   COPY_LINK_TEXT,
   HOVER_LINK,
   FOCUS_LINK,
+  OPEN_MULTIPLE_IN_NEW_BG_TABS,
+  COPY_MULTIPLE_LINK_URLS,
+  DOWNLOAD_MULTIPLE_LINK_URLS,
+  COPY_FROM_ELEMENT,
+  SELECT_TEXT_BLOCK,
+  OPEN_MEDIA_IN_NEW_TAB,
+  COPY_MEDIA_URL,
+  DOWNLOAD_MEDIA,
+  TOGGLE_MEDIA_PLAYBACK,
+  TOGGLE_MEDIA_MUTE,
+  TOGGLE_PICTURE_IN_PICTURE,
+  TOGGLE_FULLSCREEN,
+  USE_FORM_CONTROL,
 ];
 
 const HintCoordinator = {
@@ -168,6 +455,16 @@ const HintCoordinator = {
   // types ESC after clicking on it. See #3073.
   lastClickedElementRef: null,
 
+  // The options which this frame's hints were collected with by getHintDescriptors, so that they
+  // can be collected again when the page changes. See updateLocalHints.
+  hintOptions: null,
+  mutationObserver: null,
+  updateTimerId: null,
+  // When updateLocalHints last ran. Pages with animations or carousels change constantly, so we
+  // rescan at most once every minUpdateInterval milliseconds.
+  lastUpdateTime: 0,
+  minUpdateInterval: 1000,
+
   // Returns if the HintCoordinator will handle a given LinkHintsMessage.
   // Some messages will not be handled in the case where the help dialog is shown, and is then
   // hidden, but is still receiving link hints messages via broadcastLinkHintsMessage.
@@ -184,7 +481,10 @@ const HintCoordinator = {
     chrome.runtime.sendMessage(request);
   },
 
-  prepareToActivateMode(mode, onExit) {
+  // Returns a promise which resolves once the hints have been shown, or collecting them has been
+  // cancelled. Until then, keys typed in this frame are cached rather than handled.
+  // - modeOptions: options for the mode, which are passed to every frame. See COPY_FROM_ELEMENT.
+  prepareToActivateMode(mode, onExit, modeOptions = {}) {
     // We need to communicate with the background page (and other frames) to initiate link-hints
     // mode. To prevent other Vimium commands from being triggered before link-hints mode is
     // launched, we install a temporary mode to block (and cache) keyboard events.
@@ -211,41 +511,147 @@ const HintCoordinator = {
     chrome.runtime.sendMessage({
       handler: "prepareToActivateLinkHintsMode",
       modeIndex: availableModes.indexOf(mode),
+      modeOptions,
       isExtensionPage,
       requestedByHelpDialog: globalThis.isVimiumHelpDialog,
     });
+    return new Promise((resolve) => cacheAllKeydownEvents.onExit(resolve));
   },
 
-  // Returns a list of HintDescriptors. Hint descriptors are global. They include all of the
+  // Returns { hintDescriptors, childFrameRects }, where hintDescriptors is a list of HintDescriptors.
+  // See getChildFrameRects for childFrameRects. Hint descriptors are global. They include all of the
   // information necessary for each frame to determine whether and when a hint from *any* frame is
   // selected.
-  getHintDescriptors({ modeIndex, requestedByHelpDialog }, _sender) {
-    if (!DomUtils.isReady() || DomUtils.windowIsTooSmall()) return [];
+  getHintDescriptors({ modeIndex, modeOptions, requestedByHelpDialog }, _sender) {
+    if (!DomUtils.isReady() || DomUtils.windowIsTooSmall()) {
+      return { hintDescriptors: [], childFrameRects: {} };
+    }
+
+    this.hintOptions = { modeIndex, modeOptions, requestedByHelpDialog };
+    // Walking the DOM is expensive on large pages, so the hints and the child frames are found in
+    // the same walk.
+    const elements = LocalHints.getAllElements(document.documentElement);
+    this.localHints = this.collectLocalHints(this.hintOptions, elements);
+    this.localHintDescriptors = this.createHintDescriptors(this.localHints, 0);
+    return {
+      hintDescriptors: this.localHintDescriptors,
+      childFrameRects: this.getChildFrameRects(elements),
+    };
+  },
 
-    const requireHref = [COPY_LINK_URL, OPEN_INCOGNITO].includes(availableModes[modeIndex]);
+  // Returns the positions of this frame's child frames within its viewport, as
+  // { frameId: { left, top } }. The background page uses these to find the position of every frame
+  // within the tab, so that hints can be put in visual order.
+  // - elements: every element in this frame, from LocalHints.getAllElements.
+  getChildFrameRects(elements) {
+    const rects = {};
+    if (!chrome.runtime.getFrameId) return rects;
+    const frames = elements.filter((element) => ["iframe", "frame"].includes(element.localName));
+    for (const frame of frames) {
+      const childFrameId = chrome.runtime.getFrameId(frame);
+      if (childFrameId < 0) continue;
+      const rect = frame.getBoundingClientRect();
+      rects[childFrameId] = { left: rect.left + frame.clientLeft, top: rect.top + frame.clientTop };
+    }
+    return rects;
+  },
+
+  // Returns the LocalHints in this frame for the mode at `modeIndex`.
+  // - elements: every element in this frame, if the caller has already found them with
+  //   LocalHints.getAllElements.
+  collectLocalHints({ modeIndex, modeOptions, requestedByHelpDialog }, elements = null) {
+    const mode = availableModes[modeIndex];
+    const copiedPart = mode === COPY_FROM_ELEMENT && !modeOptions?.attribute
+      ? modeOptions?.what
+      : null;
+    const copiesHref = ["href", "markdown"].includes(copiedPart);
+    const requireHref = [COPY_LINK_URL, OPEN_INCOGNITO].includes(mode) ||
+      mode.selectsMultipleLinks || copiesHref;
     // If link hints is launched within the help dialog, then we only offer hints from that frame.
     // This improves the usability of the help dialog on the options page (particularly for
     // selecting command names).
     if (requestedByHelpDialog && !globalThis.isVimiumHelpDialog) {
-      this.localHints = [];
+      return [];
+    } else if (mode.hintsTextBlocks) {
+      return LocalHints.getTextBlockHints(elements);
+    } else if (mode.mediaSelector) {
+      return LocalHints.getMediaHints(mode.mediaSelector, elements);
+    } else if (copiedPart == "src") {
+      return LocalHints.getMediaHints(COPY_FROM_ELEMENT.srcSelector, elements);
+    } else if (mode.hintsFormControls) {
+      return LocalHints.getFormControlHints(elements);
     } else {
-      this.localHints = LocalHints.getLocalHints(requireHref);
+      return LocalHints.getLocalHints(requireHref, elements);
     }
-    this.localHintDescriptors = this.localHints.map(({ linkText }, localIndex) => (
+  },
+
+  // Returns HintDescriptors for `localHints`, the first of which is at `firstLocalIndex` in
+  // this.localHints.
+  createHintDescriptors(localHints, firstLocalIndex) {
+    const mode = availableModes[this.hintOptions.modeIndex];
+    const viewport = DomUtils.getViewportTopLeft();
+    return localHints.map(({ element, linkText, rect }, i) => (
       new HintDescriptor({
         frameId,
-        localIndex,
+        localIndex: firstLocalIndex + i,
         linkText,
+        url: mode.selectsMultipleLinks ? getLinkUrl(element) : null,
+        rect: {
+          left: rect.left - viewport.left,
+          top: rect.top - viewport.top,
+          height: rect.height,
+        },
       })
     ));
-    return this.localHintDescriptors;
+  },
+
+  // Returns `hintDescriptors` in the order in which their hints appear in the tab: in rows from top
+  // to bottom, and from left to right within each row. A hint is in the same row as the row's first
+  // hint if it starts above the middle of that hint. Hints in frames without an offset in
+  // `frameIdToOffset` (e.g. because their parent frame didn't respond) come last, in their original
+  // order.
+  sortInVisualOrder(hintDescriptors, frameIdToOffset) {
+    const positioned = [];
+    const unpositioned = [];
+    for (const descriptor of hintDescriptors) {
+      const offset = frameIdToOffset[descriptor.frameId];
+      if (offset && descriptor.rect) {
+        const { left, top, height } = descriptor.rect;
+        positioned.push({ descriptor, left: left + offset.left, top: top + offset.top, height });
+      } else {
+        unpositioned.push(descriptor);
+      }
+    }
+    positioned.sort((a, b) => a.top - b.top);
+    const rows = [];
+    for (const hint of positioned) {
+      const row = rows.at(-1);
+      if (row && hint.top <= row[0].top + row[0].height / 2) {
+        row.push(hint);
+      } else {
+        rows.push([hint]);
+      }
+    }
+    return rows
+      .flatMap((row) => row.sort((a, b) => a.left - b.left))
+      .map((hint) => hint.descriptor)
+      .concat(unpositioned);
   },
 
   // We activate LinkHintsMode() in every frame and provide every frame with exactly the same hint
   // descriptors. We also propagate the key state between frames. Therefore, the hint-selection
   // process proceeds in lock step in every frame, and this.linkHintsMode is in the same state in
   // every frame.
-  activateMode({ frameId, frameIdToHintDescriptors, modeIndex, originatingFrameId }) {
+  // - frameIdToOffset: the position of each frame's viewport within the tab, as
+  //   { frameId: { left, top } }. See HintCoordinator.getFrameOffsets in the background page.
+  activateMode({
+    frameId,
+    frameIdToHintDescriptors,
+    frameIdToOffset,
+    modeIndex,
+    modeOptions,
+    originatingFrameId,
+  }) {
     // We do not receive the frame's own hint descritors back from the background page. Instead, we
     // merge them with the hint descriptors from other frames here. Note that
     // this.localHintDescriptors can be null if "getHintDescriptors" failed in this frame when it
@@ -253,9 +659,13 @@ const HintCoordinator = {
     frameIdToHintDescriptors[frameId] = this.localHintDescriptors || [];
     this.localHintDescriptors = null;
 
-    const hintDescriptors = Object.keys(frameIdToHintDescriptors)
-      .sort()
-      .flatMap((frame) => frameIdToHintDescriptors[frame]);
+    // Every frame must order the hints identically, so that their hint strings are the same.
+    const hintDescriptors = this.sortInVisualOrder(
+      Object.keys(frameIdToHintDescriptors)
+        .sort()
+        .flatMap((frame) => frameIdToHintDescriptors[frame]),
+      frameIdToOffset ?? {},
+    );
 
     if (this.cacheAllKeydownEvents?.modeIsActive) {
       this.cacheAllKeydownEvents.exit();
@@ -263,12 +673,101 @@ const HintCoordinator = {
     if (frameId !== originatingFrameId) {
       this.onExit = [];
     }
-    this.linkHintsMode = new LinkHintsMode(hintDescriptors, availableModes[modeIndex]);
+    this.linkHintsMode = new LinkHintsMode(
+      hintDescriptors,
+      availableModes[modeIndex],
+      modeOptions,
+    );
     // Replay keydown events which we missed (but for filtered hints only).
     if (Settings.get("filterLinkHints" && this.cacheAllKeydownEvents)) {
       this.cacheAllKeydownEvents.replayKeydownEvents();
     }
     this.cacheAllKeydownEvents = null;
+    if (this.localHints && this.linkHintsMode.hintMode) {
+      this.observeMutations();
+    }
+  },
+
+  // While link-hints mode is active, pages (particularly single-page apps) may add and remove
+  // clickable elements. We watch for this, and update the hints once the page settles down. We don't
+  // watch the "style" attribute, since JS animations change it many times a second.
+  observeMutations() {
+    this.stopObservingMutations();
+    this.lastUpdateTime = 0;
+    this.mutationObserver = new MutationObserver((records) => this.onMutations(records));
+    this.mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["class", "hidden", "href"],
+    });
+  },
+
+  onMutations(records) {
+    if (records.every((record) => this.isOwnMutation(record))) return;
+    if (this.updateTimerId != null) return;
+    const delay = Math.max(200, this.lastUpdateTime + this.minUpdateInterval - Date.now());
+    this.updateTimerId = Utils.setTimeout(delay, () => {
+      this.updateTimerId = null;
+      this.lastUpdateTime = Date.now();
+      this.updateLocalHints();
+    });
+  },
+
+  stopObservingMutations() {
+    this.mutationObserver?.disconnect();
+    this.mutationObserver = null;
+    clearTimeout(this.updateTimerId);
+    this.updateTimerId = null;
+  },
+
+  // Whether a mutation is to Vimium's own elements, such as the hint markers, rather than the page.
+  isOwnMutation(record) {
+    const isOwnNode = (node) => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return element?.closest(".vimium-reset") != null;
+    };
+    if (isOwnNode(record.target)) return true;
+    const nodes = [...record.addedNodes, ...record.removedNodes];
+    return (record.type === "childList") && (nodes.length > 0) && nodes.every(isOwnNode);
+  },
+
+  // Collects this frame's hints again, and tells every frame which of them have been added and
+  // removed. Hints for elements which still have a hint keep their HintDescriptors, and so their
+  // markers and labels. Removed hints leave a gap in this.localHints, so that the localIndex of
+  // every other hint stays the same.
+  updateLocalHints() {
+    if (!this.linkHintsMode?.hintMode?.modeIsActive || !this.localHints) {
+      this.stopObservingMutations();
+      return;
+    }
+    const hints = this.collectLocalHints(this.hintOptions);
+    const elementToHint = new Map(hints.map((hint) => [hint.element, hint]));
+    const currentElements = new Set();
+    const removedLocalIndices = [];
+    this.localHints.forEach((hint, localIndex) => {
+      if (hint == null) return;
+      const updatedHint = elementToHint.get(hint.element);
+      if (updatedHint) {
+        // The element may have moved.
+        hint.rect = updatedHint.rect;
+        currentElements.add(hint.element);
+      } else {
+        removedLocalIndices.push(localIndex);
+        this.localHints[localIndex] = null;
+      }
+    });
+    this.linkHintsMode.layOutLocalMarkers();
+
+    const addedHints = hints.filter((hint) => !currentElements.has(hint.element));
+    if ((removedLocalIndices.length === 0) && (addedHints.length === 0)) return;
+    const hintDescriptors = this.createHintDescriptors(addedHints, this.localHints.length);
+    this.localHints.push(...addedHints);
+    this.sendMessage("updateHints", {
+      sourceFrameId: frameId,
+      removedLocalIndices,
+      hintDescriptors,
+    });
   },
 
   // The following messages are exchanged between frames while link-hints mode is active.
@@ -284,18 +783,25 @@ const HintCoordinator = {
   activateActiveHintMarker() {
     this.linkHintsMode.activateLink(this.linkHintsMode.markerMatcher.activeHintMarker);
   },
+  activateMatchingHintMarkers() {
+    this.linkHintsMode.activateLinks(this.linkHintsMode.linksMatched);
+  },
+  updateHints(request) {
+    this.linkHintsMode.updateHints(request);
+  },
   getLocalHint(hint) {
     return this.localHints[hint.localIndex];
   },
 
   exit({ isSuccess }) {
+    this.stopObservingMutations();
     if (this.linkHintsMode != null) {
       this.linkHintsMode.deactivateMode();
     }
     while (this.onExit.length > 0) {
       this.onExit.pop()(isSuccess);
     }
-    this.linkHintsMode = this.localHints = null;
+    this.linkHintsMode = this.localHints = this.hintOptions = null;
   },
 
   mouseOutOfLastClickedElement() {
@@ -309,58 +815,103 @@ const HintCoordinator = {
 };
 
 const LinkHints = {
-  activateMode(count, { mode, registryEntry }) {
+  // Returns a promise which resolves once the hints have been shown. See
+  // HintCoordinator.prepareToActivateMode.
+  // - continuous: whether to show the hints again after each link is chosen, until the user types
+  //   Escape. This is set by the `continuous` option of each LinkHints command.
+  activateMode(count, { mode, registryEntry, modeOptions, continuous }) {
     if (count == null) count = 1;
-    if (mode == null) mode = OPEN_IN_CURRENT_TAB;
-
-    switch (registryEntry?.options.action) {
-      case "copy-text":
-        mode = COPY_LINK_TEXT;
-        break;
-      case "hover":
-        mode = HOVER_LINK;
-        break;
-      case "focus":
-        mode = FOCUS_LINK;
-        break;
+    continuous = continuous ?? registryEntry?.options.continuous ?? false;
+    if (mode == null) {
+      mode = OPEN_IN_CURRENT_TAB;
+      switch (registryEntry?.options.action) {
+        case "copy-text":
+          mode = COPY_LINK_TEXT;
+          break;
+        case "hover":
+          mode = HOVER_LINK;
+          break;
+        case "focus":
+          mode = FOCUS_LINK;
+          break;
+      }
     }
+    if (mode === OPEN_WITH_QUEUE) continuous = true;
 
-    if ((count > 0) || (mode === OPEN_WITH_QUEUE)) {
-      HintCoordinator.prepareToActivateMode(mode, function (isSuccess) {
+    if ((count > 0) || continuous) {
+      return HintCoordinator.prepareToActivateMode(mode, function (isSuccess) {
         if (isSuccess) {
           // Wait for the next tick to allow the previous mode to exit. It might yet generate a
           // click event, which would cause our new mode to exit immediately.
-          Utils.nextTick(() => LinkHints.activateMode(count - 1, { mode }));
+          Utils.nextTick(() =>
+            LinkHints.activateMode(count - 1, { mode, modeOptions, continuous })
+          );
         }
-      });
+      }, modeOptions);
     }
   },
 
-  activateModeToOpenInNewTab(count) {
-    this.activateMode(count, { mode: OPEN_IN_NEW_BG_TAB });
+  activateModeToOpenInNewTab(count, { registryEntry }) {
+    return this.activateMode(count, { mode: OPEN_IN_NEW_BG_TAB, registryEntry });
   },
-  activateModeToOpenInNewForegroundTab(count) {
-    this.activateMode(count, { mode: OPEN_IN_NEW_FG_TAB });
+  activateModeToOpenInNewForegroundTab(count, { registryEntry }) {
+    return this.activateMode(count, { mode: OPEN_IN_NEW_FG_TAB, registryEntry });
   },
-  activateModeToCopyLinkUrl(count) {
-    this.activateMode(count, { mode: COPY_LINK_URL });
+  activateModeToCopyLinkUrl(count, { registryEntry }) {
+    return this.activateMode(count, { mode: COPY_LINK_URL, registryEntry });
   },
   activateModeWithQueue() {
-    this.activateMode(1, { mode: OPEN_WITH_QUEUE });
+    return this.activateMode(1, { mode: OPEN_WITH_QUEUE });
+  },
+  activateModeToOpenIncognito(count, { registryEntry }) {
+    return this.activateMode(count, { mode: OPEN_INCOGNITO, registryEntry });
+  },
+  activateModeToDownloadLink(count, { registryEntry }) {
+    return this.activateMode(count, { mode: DOWNLOAD_LINK_URL, registryEntry });
+  },
+  activateModeToCopy(count, { registryEntry }) {
+    const { what, attribute } = registryEntry?.options ?? {};
+    const modeOptions = { what, attribute };
+    return this.activateMode(count, { mode: COPY_FROM_ELEMENT, registryEntry, modeOptions });
+  },
+  activateModeToSelectText(count, { registryEntry }) {
+    const mode = registryEntry?.options.mode;
+    return this.activateMode(count, { mode: SELECT_TEXT_BLOCK, modeOptions: { mode } });
+  },
+  activateModeForMedia(count, { registryEntry }) {
+    const modes = {
+      "open": OPEN_MEDIA_IN_NEW_TAB,
+      "copy-url": COPY_MEDIA_URL,
+      "download": DOWNLOAD_MEDIA,
+      "play": TOGGLE_MEDIA_PLAYBACK,
+      "mute": TOGGLE_MEDIA_MUTE,
+      "picture-in-picture": TOGGLE_PICTURE_IN_PICTURE,
+      "fullscreen": TOGGLE_FULLSCREEN,
+    };
+    const mode = modes[registryEntry?.options.action ?? "open"];
+    return this.activateMode(count, { mode, registryEntry });
   },
-  activateModeToOpenIncognito(count) {
-    this.activateMode(count, { mode: OPEN_INCOGNITO });
+  activateModeForFormControls(count, { registryEntry }) {
+    return this.activateMode(count, { mode: USE_FORM_CONTROL, registryEntry });
   },
-  activateModeToDownloadLink(count) {
-    this.activateMode(count, { mode: DOWNLOAD_LINK_URL });
+  activateModeForMultipleLinks(count, { registryEntry }) {
+    const modes = {
+      "open": OPEN_MULTIPLE_IN_NEW_BG_TABS,
+      "copy-urls": COPY_MULTIPLE_LINK_URLS,
+      "download": DOWNLOAD_MULTIPLE_LINK_URLS,
+    };
+    const mode = modes[registryEntry?.options.action ?? "open"];
+    return this.activateMode(count, { mode, registryEntry });
   },
 };
 
 class LinkHintsMode {
   // @mode: One of the enums listed at the top of this file.
-  constructor(hintDescriptors, mode) {
+  // @modeOptions: options for the mode's linkActivator.
+  constructor(hintDescriptors, mode, modeOptions = {}) {
     if (mode == null) mode = OPEN_IN_CURRENT_TAB;
     this.mode = mode;
+    this.modeOptions = modeOptions;
     // We need documentElement to be ready in order to append links.
     if (!document.documentElement) return;
 
@@ -371,6 +922,9 @@ class LinkHintsMode {
     this.hintMode = null;
     // A count of the number of Tab presses since the last non-Tab keyboard event.
     this.tabCount = 0;
+    // In modes which select multiple links, the marker of the first link in the range, once the
+    // user has typed its hint.
+    this.rangeStartMarker = null;
     // Whether we're waiting for the user to confirm a single match before activating it. One of:
     //   null      - not confirming.
     //   "enter"   - waiting for an explicit Enter (confirm) or Escape (cancel).
@@ -386,8 +940,19 @@ class LinkHintsMode {
     // stable.
     this.stableSortCount = 0;
     this.hintMarkers = hintDescriptors.map((desc) => this.createMarkerFor(desc));
-    this.markerMatcher = Settings.get("filterLinkHints") ? new FilterHints() : new AlphabetHints();
+    if (Settings.get("filterLinkHints")) {
+      this.markerMatcher = new FilterHints();
+    } else if (Settings.get("mnemonicLinkHints")) {
+      this.markerMatcher = new MnemonicHints();
+    } else {
+      this.markerMatcher = new AlphabetHints();
+    }
     this.markerMatcher.fillInMarkers(this.hintMarkers);
+    // The markers which match what the user has typed so far.
+    this.linksMatched = this.hintMarkers;
+    // Markers for hints which were added after link-hints mode started, but which couldn't be given
+    // a hint string without changing another marker's. See updateHints.
+    this.unlabelledMarkers = [];
 
     this.hintMode = new Mode();
     this.hintMode.init({
@@ -434,6 +999,7 @@ class LinkHintsMode {
     for (const el of markerEls) {
       this.containerEl.appendChild(el);
     }
+    this.layOutLocalMarkers();
 
     // TODO(philc): 2024-03-27 Remove this hasPopoverSupport check once Firefox has popover support.
     // Also move this CSS into vimium.css.
@@ -479,12 +1045,75 @@ class LinkHintsMode {
       const typedCharacters = this.markerMatcher.linkTextKeystrokeQueue
         ? this.markerMatcher.linkTextKeystrokeQueue.join("")
         : "";
-      const indicator = this.mode.indicator + (typedCharacters ? `: \"${typedCharacters}\"` : "") +
+      let indicator = this.mode.indicator + (typedCharacters ? `: \"${typedCharacters}\"` : "") +
         ".";
+      if (this.mode.selectsMultipleLinks) {
+        indicator += this.rangeStartMarker
+          ? " Type the last link's hint."
+          : " Type the first link's hint, or Enter for all.";
+      }
       this.hintMode.setIndicator(indicator);
     }
   }
 
+  // Adds and removes markers as the hints in the frame `sourceFrameId` change. See
+  // HintCoordinator.updateLocalHints. Like updateKeyState, this runs in every frame, so that every
+  // frame's markers stay the same.
+  updateHints({ sourceFrameId, removedLocalIndices, hintDescriptors }) {
+    // The markers have already been removed if a link has been chosen.
+    if (this.containerEl == null) return;
+    const isRemoved = (marker) =>
+      (marker.hintDescriptor.frameId === sourceFrameId) &&
+      removedLocalIndices.includes(marker.hintDescriptor.localIndex);
+    for (const marker of this.hintMarkers.filter(isRemoved)) {
+      if (marker.isLocalMarker()) DomUtils.removeElement(marker.element);
+    }
+    this.hintMarkers = this.hintMarkers.filter((marker) => !isRemoved(marker));
+    if (this.rangeStartMarker && isRemoved(this.rangeStartMarker)) {
+      this.rangeStartMarker = null;
+    }
+
+    // Labels which are in use are never changed, so markers may have to wait for a label to be
+    // freed up by a removed marker.
+    const newMarkers = this.unlabelledMarkers.filter((marker) => !isRemoved(marker))
+      .concat(hintDescriptors.map((desc) => this.createMarkerFor(desc)));
+    const labelledMarkers = this.markerMatcher.addMarkers(this.hintMarkers, newMarkers);
+    this.unlabelledMarkers = newMarkers.filter((marker) => !labelledMarkers.includes(marker));
+    this.hintMarkers.push(...labelledMarkers);
+    this.renderHints();
+
+    // Show the markers which match what the user has typed so far. Unlike updateKeyState, we don't
+    // activate a link if only one matches, because the user hasn't chosen it.
+    this.linksMatched = this.markerMatcher.getMatchingHints(this.hintMarkers, this.tabCount)
+      .linksMatched;
+    this.showMatchingMarkers();
+  }
+
+  // Positions this frame's markers within their hints' rects, so that they overlap each other as
+  // little as possible. Markers are placed in the order of their hints, so that the layout doesn't
+  // change when the hints are rotated.
+  layOutLocalMarkers() {
+    const markers = this.hintMarkers.filter((m) => m.isLocalMarker())
+      .sort((a, b) => a.stableSortCount - b.stableSortCount);
+    // Measure every marker before moving any of them, so that we only force one layout.
+    const boxes = markers.map((marker) => {
+      // Only the top and left of the hint's rect are in the page's coordinates. See getLocalHints.
+      const { left, top, width, height } = marker.localHint.rect;
+      return {
+        width: marker.element.offsetWidth,
+        height: marker.element.offsetHeight,
+        bounds: Rect.create(left, top, left + width, top + height),
+      };
+    });
+    const rects = Rect.placeWithoutOverlaps(boxes);
+    markers.forEach((marker, i) => {
+      marker.element.style.left = rects[i].left + "px";
+      marker.element.style.top = rects[i].top + "px";
+      // This is cached by rotateHints.
+      marker.markerRect = null;
+    });
+  }
+
   // Creates a link marker for the given link.
   createMarkerFor(desc) {
     const marker = new HintMarker();
@@ -569,7 +1198,9 @@ class LinkHintsMode {
       }
     } else if (event.key === "Enter") {
       // Activate the active hint, if there is one.  Only FilterHints uses an active hint.
-      if (this.markerMatcher.activeHintMarker) {
+      if (this.mode.selectsMultipleLinks) {
+        HintCoordinator.sendMessage("activateMatchingHintMarkers");
+      } else if (this.markerMatcher.activeHintMarker) {
         HintCoordinator.sendMessage("activateActiveHintMarker");
       }
     } else if (event.key === "Tab") {
@@ -626,22 +1257,103 @@ class LinkHintsMode {
       this.hintMarkers,
       tabCount,
     );
+    this.linksMatched = linksMatched;
+    const hintWasTyped = this.markerMatcher.hintKeystrokeQueue.length > 0;
     if (linksMatched.length === 0) {
       this.deactivateMode();
-    } else if (linksMatched.length === 1) {
+    } else if (this.mode.selectsMultipleLinks && linksMatched.length === 1 && hintWasTyped) {
+      this.selectRangeEndpoint(linksMatched[0]);
+    } else if (linksMatched.length === 1 && !this.mode.selectsMultipleLinks) {
       this.activateLink(linksMatched[0], userMightOverType);
     } else {
-      for (const marker of this.hintMarkers) {
-        this.hideMarker(marker);
-      }
-      for (const matched of linksMatched) {
-        this.showMarker(matched, this.markerMatcher.hintKeystrokeQueue.length);
-      }
+      this.showMatchingMarkers();
     }
 
     return this.setIndicator();
   }
 
+  showMatchingMarkers() {
+    for (const marker of this.hintMarkers) {
+      this.hideMarker(marker);
+    }
+    for (const matched of this.linksMatched) {
+      this.showMarker(matched, this.markerMatcher.hintKeystrokeQueue.length);
+    }
+    if (this.rangeStartMarker?.element) {
+      this.rangeStartMarker.element.classList.add("vimiumActiveHintMarker");
+    }
+  }
+
+  // In modes which select multiple links, the user chooses a range by typing the hint of the first
+  // link, and then the hint of the last link. The range is the links between them in the order of
+  // their hints, which is visual order.
+  selectRangeEndpoint(marker) {
+    if (this.rangeStartMarker == null) {
+      this.rangeStartMarker = marker;
+      // Show every hint again (or every hint matching the typed link text), so the user can choose
+      // the last link.
+      this.markerMatcher.hintKeystrokeQueue = [];
+      this.linksMatched = this.markerMatcher.getMatchingHints(this.hintMarkers, 0).linksMatched;
+      this.showMatchingMarkers();
+    } else {
+      const [first, last] = [this.rangeStartMarker, marker]
+        .sort((a, b) => a.stableSortCount - b.stableSortCount);
+      const markers = this.hintMarkers
+        .filter((m) => first.stableSortCount <= m.stableSortCount)
+        .filter((m) => m.stableSortCount <= last.stableSortCount);
+      this.activateLinks(markers);
+    }
+  }
+
+  // Applies a multiple-link mode's action to the links of `markers`. Like activateLink, this runs
+  // in every frame. Links are clicked by the frame which contains them, and actions on the links'
+  // URLs are done by the frame with the focus, which also ends link-hints mode.
+  activateLinks(markers) {
+    markers = markers.slice().sort((a, b) => a.stableSortCount - b.stableSortCount);
+    this.removeHintMarkers();
+
+    const localElements = markers.filter((m) => m.isLocalMarker()).map((m) => m.localHint.element);
+    // Outline the selected links in this frame with a single rectangle.
+    const rects = localElements.flatMap((el) => Array.from(el.getClientRects()));
+    if (rects.length > 0) {
+      const { top: viewportTop, left: viewportLeft } = DomUtils.getViewportTopLeft();
+      const selectionRect = Rect.create(
+        Math.min(...rects.map((r) => r.left)),
+        Math.min(...rects.map((r) => r.top)),
+        Math.max(...rects.map((r) => r.right)),
+        Math.max(...rects.map((r) => r.bottom)),
+      );
+      const flashEl = DomUtils.addFlashRect(
+        Rect.translate(selectionRect, viewportLeft, viewportTop),
+      );
+      Utils.setTimeout(400, () => DomUtils.removeElement(flashEl));
+    }
+
+    // As in activateLink, act on the links once link-hints mode has exited, so that our simulated
+    // clicks don't cancel it.
+    const activator = this.mode.multipleLinksActivator;
+    const clickModifiers = this.mode.clickModifiers;
+    HintCoordinator.onExit.push((isSuccess) => {
+      if (!isSuccess) return;
+      if (activator) {
+        if (windowIsFocused()) activator(markers.map((m) => m.hintDescriptor.url));
+      } else {
+        for (const el of localElements) {
+          DomUtils.simulateClick(el, clickModifiers);
+        }
+      }
+    });
+
+    if (windowIsFocused()) {
+      const isSuccess = markers.length <= MULTIPLE_LINKS_CONFIRMATION_LIMIT ||
+        confirm(
+          `You have asked Vimium to act on ${markers.length} links. ` +
+            "Are you sure you want to continue?",
+        );
+      HintCoordinator.sendMessage("exit", { isSuccess });
+    }
+  }
+
   markerOverlapsStack(marker, stack) {
     for (const otherMarker of stack) {
       if (Rect.intersects(marker.markerRect, otherMarker.markerRect)) {
@@ -744,7 +1456,7 @@ class LinkHintsMode {
             });
           } else if (localHint.reason === "Open.") {
             return clickEl.open = !clickEl.open;
-          } else if (DomUtils.isSelectable(clickEl)) {
+          } else if (DomUtils.isSelectable(clickEl) && !this.mode.hintsFormControls) {
             globalThis.focus();
             return DomUtils.simulateSelect(clickEl);
           } else {
@@ -761,7 +1473,7 @@ class LinkHintsMode {
               clickEl.focus();
             }
             HintCoordinator.lastClickedElementRef = new WeakRef(clickEl);
-            return linkActivator(clickEl);
+            return linkActivator(clickEl, this.modeOptions);
           }
         }
       });
@@ -870,15 +1582,57 @@ class AlphabetHints {
       console.warn("Unable to generate link hint strings.");
     } else {
       for (let i = 0; i < hintMarkers.length; i++) {
-        const marker = hintMarkers[i];
-        marker.hintString = hintStrings[i];
-        if (marker.isLocalMarker()) {
-          marker.element.innerHTML = spanWrap(marker.hintString.toUpperCase());
-        }
+        this.setHintString(hintMarkers[i], hintStrings[i]);
       }
     }
   }
 
+  setHintString(marker, hintString) {
+    marker.hintString = hintString;
+    if (marker.isLocalMarker()) {
+      marker.element.innerHTML = spanWrap(marker.hintString.toUpperCase());
+    }
+  }
+
+  // Gives hint strings to `newMarkers`, which are being added to `hintMarkers` while link-hints mode
+  // is active, without changing the hint strings of `hintMarkers`. Returns the markers which could
+  // be given hint strings.
+  addMarkers(hintMarkers, newMarkers) {
+    const usedHintStrings = hintMarkers.map((marker) => marker.hintString);
+    const hintStrings = this.getUnusedHintStrings(usedHintStrings, newMarkers.length);
+    for (let i = 0; i < hintStrings.length; i++) {
+      this.setHintString(newMarkers[i], hintStrings[i]);
+    }
+    return newMarkers.slice(0, hintStrings.length);
+  }
+
+  // Returns up to `count` hint strings, shortest first, which are neither prefixes of the
+  // `usedHintStrings` nor have one of them as a prefix. We always leave at least one unused hint
+  // string, which can later be extended into more hint strings. However, there may be none to begin
+  // with, if the used hint strings are every hint string of their lengths.
+  getUnusedHintStrings(usedHintStrings, count) {
+    const isUsedPrefix = (str) => usedHintStrings.some((used) => used.startsWith(str));
+    const hasUsedPrefix = (str) => usedHintStrings.some((used) => str.startsWith(used));
+    const unused = [];
+    const queue = Array.from(this.linkHintCharacters);
+    while (queue.length > 0) {
+      const str = queue.shift();
+      if (hasUsedPrefix(str)) continue;
+      if (isUsedPrefix(str)) {
+        queue.push(...Array.from(this.linkHintCharacters, (ch) => str + ch));
+      } else {
+        unused.push(str);
+      }
+    }
+    // Extend the shortest hint strings first, as hintStrings does, so that the hint strings grow
+    // evenly rather than one of them growing ever longer.
+    while ((unused.length > 0) && (unused.length <= count)) {
+      const str = unused.shift();
+      unused.push(...Array.from(this.linkHintCharacters, (ch) => str + ch));
+    }
+    return unused.slice(0, count);
+  }
+
   //
   // Returns a list of hint strings which will uniquely identify the given number of links. The hint
   // strings may be of different lengths.
@@ -920,6 +1674,62 @@ class AlphabetHints {
   }
 }
 
+// Derives hint strings from the initials of the links' text, so that they're easy to remember; e.g.
+// "Sign up" gets the hint "sp". Only the letters which are in linkHintCharacters are used, so that
+// every hint can be typed; with the default characters, the "i" and "u" of "Sign up" are skipped.
+// When two links have the same initials, or one link's initials are a prefix of another's, we fall
+// back to other letters from the link's text, and then to hint strings made from
+// linkHintCharacters, as for AlphabetHints.
+class MnemonicHints extends AlphabetHints {
+  fillInMarkers(hintMarkers) {
+    const labelledMarkers = this.addMarkers([], hintMarkers);
+    // If we ran out of hint strings, which is very unlikely, use the regular ones instead.
+    if (labelledMarkers.length < hintMarkers.length) {
+      super.fillInMarkers(hintMarkers);
+    }
+  }
+
+  addMarkers(hintMarkers, newMarkers) {
+    const usedHintStrings = hintMarkers.map((marker) => marker.hintString);
+    const isUnused = (str) =>
+      !usedHintStrings.some((used) => used.startsWith(str) || str.startsWith(used));
+    const markersWithoutMnemonics = [];
+    for (const marker of newMarkers) {
+      const hintString = this.getMnemonics(marker.linkText ?? "").find(isUnused);
+      if (hintString) {
+        usedHintStrings.push(hintString);
+        this.setHintString(marker, hintString);
+      } else {
+        markersWithoutMnemonics.push(marker);
+      }
+    }
+    const hintStrings = this.getUnusedHintStrings(usedHintStrings, markersWithoutMnemonics.length);
+    for (let i = 0; i < hintStrings.length; i++) {
+      this.setHintString(markersWithoutMnemonics[i], hintStrings[i]);
+    }
+    const unlabelledMarkers = markersWithoutMnemonics.slice(hintStrings.length);
+    return newMarkers.filter((marker) => !unlabelledMarkers.includes(marker));
+  }
+
+  // Returns the hint strings which can be derived from `linkText`, best first: its initials, the
+  // start of its first word, and then its first letter followed by each of its later letters. The
+  // letters which aren't in linkHintCharacters are left out of each word.
+  getMnemonics(linkText) {
+    const words = linkText.toLowerCase().split(/[^\p{L}\p{N}]+/u)
+      .map((word) => Array.from(word).filter((c) => this.linkHintCharacters.includes(c)).join(""))
+      .filter((word) => word);
+    if (words.length == 0) return [];
+    const initials = words.map((word) => word[0]).join("").slice(0, 3);
+    const letters = words.join("");
+    const mnemonics = [initials, words[0].slice(0, 2), words[0].slice(0, 3)];
+    for (const letter of letters.slice(1)) {
+      mnemonics.push(letters[0] + letter);
+    }
+    // Single letters would be the prefix of too many other hints.
+    return Array.from(new Set(mnemonics)).filter((str) => str.length >= 2);
+  }
+}
+
 // Use characters for hints, and also filter links by their text.
 class FilterHints {
   constructor() {
@@ -960,6 +1770,12 @@ class FilterHints {
     marker.element.innerHTML = spanWrap(caption);
   }
 
+  // Every marker can be added, because filtered hints are numbered by their rank when they're
+  // matched, rather than being given a fixed hint string.
+  addMarkers(_hintMarkers, newMarkers) {
+    return newMarkers;
+  }
+
   fillInMarkers(hintMarkers) {
     for (const marker of hintMarkers) {
       if (marker.isLocalMarker()) {
@@ -1121,6 +1937,28 @@ const spanWrap = (hintString) => {
 };
 
 const LocalHints = {
+  // The selectors from the hintSelectorRules setting which apply to this frame, as
+  // { include, exclude }. Each is a selector list, or null. This is set by getLocalHints.
+  hintSelectors: null,
+
+  // Returns the selectors of the hintSelectorRules whose patterns match `url`. Invalid patterns and
+  // selectors are ignored, so that they don't break link hints.
+  getHintSelectors(url) {
+    const rules = Settings.get("hintSelectorRules").filter(({ pattern }) => {
+      try {
+        return Utils.urlPatternToRegexp(pattern).test(url);
+      } catch {
+        return false;
+      }
+    });
+    const selectorList = (key) => {
+      const selectors = rules.map((rule) => rule[key])
+        .filter((s) => s && DomUtils.isValidSelector(s));
+      return selectors.length > 0 ? selectors.join(", ") : null;
+    };
+    return { include: selectorList("include"), exclude: selectorList("exclude") };
+  },
+
   // Returns an array of LocalHints if the element is visible and clickable, and computes the rect
   // which bounds this element in the viewport. We return an array because there may be more than
   // one part of element which is clickable (for example, if it's an image); if so, each LocalHint
@@ -1154,6 +1992,15 @@ const LocalHints = {
       }
     }
 
+    // The user's hint selectors for this site take precedence over our heuristics.
+    const hintSelectors = this.hintSelectors;
+    if (hintSelectors?.exclude && element.matches?.(hintSelectors.exclude)) {
+      return [];
+    }
+    if (hintSelectors?.include && element.matches?.(hintSelectors.include)) {
+      isClickable = true;
+    }
+
     // Check aria properties to see if the element should be ignored.
     // Note that we're showing hints for elements with aria-hidden=true. See #3501 for discussion.
     const ariaDisabled = element.getAttribute("aria-disabled");
@@ -1363,15 +2210,31 @@ const LocalHints = {
 
     stack.push(element);
 
-    if (element && element.shadowRoot) {
+    const shadowRoot = element && DomUtils.getShadowRoot(element);
+    if (shadowRoot) {
       // A shadow root can contain just a text node; see #4620. In that case, return the shadow root
       // itself.
-      return LocalHints.getElementFromPoint(x, y, element.shadowRoot, stack) || element;
+      return LocalHints.getElementFromPoint(x, y, shadowRoot, stack) || element;
     }
 
     return element;
   },
 
+  // Returns every element within `root`, including those within open and closed shadow roots at any
+  // depth (e.g. web components nested within other web components). An element's shadow DOM comes
+  // straight after it, before its descendants.
+  getAllElements(root, elements) {
+    if (elements == null) elements = [];
+    for (const element of root.querySelectorAll("*")) {
+      elements.push(element);
+      const shadowRoot = DomUtils.getShadowRoot(element);
+      if (shadowRoot) {
+        this.getAllElements(shadowRoot, elements);
+      }
+    }
+    return elements;
+  },
+
   // Returns an array of LocalHints representing all clickable elements that are not hidden and are
   // in the current viewport, along with rectangles at which (parts of) the elements are displayed.
   // In the process, we try to find rects where elements do not overlap so that link hints are
@@ -1379,23 +2242,15 @@ const LocalHints = {
   // rects for the whole element.
   // - requireHref: true if the hintable element must have an href, because an href is required for
   //   commands like "LinkHints.activateModeToCopyLinkUrl".
-  getLocalHints(requireHref) {
+  // - elements: every element in this frame, if the caller has already found them with
+  //   getAllElements.
+  getLocalHints(requireHref, elements = null) {
     // We need documentElement to be ready in order to find links.
     if (!document.documentElement) return [];
 
-    // Find all elements, recursing into shadow DOM if present.
-    const getAllElements = (root, elements) => {
-      if (elements == null) elements = [];
-      for (const element of Array.from(root.querySelectorAll("*"))) {
-        elements.push(element);
-        if (element.shadowRoot) {
-          getAllElements(element.shadowRoot, elements);
-        }
-      }
-      return elements;
-    };
+    this.hintSelectors = this.getHintSelectors(globalThis.location.href);
 
-    const elements = getAllElements(document.documentElement);
+    elements = elements ?? this.getAllElements(document.documentElement);
     let localHints = [];
 
     // The order of elements here is important; they should appear in the order they are in the DOM,
@@ -1442,9 +2297,9 @@ const LocalHints = {
 
     // This loop will check if any corner or center of element is clickable.
     // document.elementFromPoint will find an element at a x,y location.
-    // Node.contain checks to see if an element contains another. note: someNode.contains(someNode)
-    // === true. If we do not find our element as a descendant of any element we find, assume it's
-    // completely covered.
+    // DomUtils.isComposedDescendant checks to see if an element contains another, including within
+    // shadow DOM. note: an element is its own descendant. If we do not find our element as a
+    // descendant of any element we find, assume it's completely covered.
 
     const nonOverlappingHints = localHints.filter((hint) => {
       if (hint.secondClassCitizen) return false;
@@ -1456,8 +2311,8 @@ const LocalHints = {
         rect.top + (rect.height * 0.5),
       );
       const hasIntersection = elementFromMiddlePoint &&
-        (hint.element.contains(elementFromMiddlePoint) ||
-          elementFromMiddlePoint.contains(hint.element));
+        (DomUtils.isComposedDescendant(hint.element, elementFromMiddlePoint) ||
+          DomUtils.isComposedDescendant(elementFromMiddlePoint, hint.element));
       if (hasIntersection) return true;
 
       // Handle image maps
@@ -1476,7 +2331,8 @@ const LocalHints = {
         for (const horizontalCoord of horizontalCoords) {
           const elementFromPoint = LocalHints.getElementFromPoint(horizontalCoord, verticalCoord);
           const hasIntersection = elementFromPoint &&
-            (hint.element.contains(elementFromPoint) || elementFromPoint.contains(hint.element));
+            (DomUtils.isComposedDescendant(hint.element, elementFromPoint) ||
+              DomUtils.isComposedDescendant(elementFromPoint, hint.element));
           if (hasIntersection) return true;
         }
       }
@@ -1491,7 +2347,7 @@ const LocalHints = {
       hint.rect.left += left;
     }
 
-    if (Settings.get("filterLinkHints")) {
+    if (Settings.get("filterLinkHints") || Settings.get("mnemonicLinkHints")) {
       for (const hint of nonOverlappingHints) {
         Object.assign(hint, this.generateLinkText(hint));
       }
@@ -1499,6 +2355,72 @@ const LocalHints = {
     return nonOverlappingHints;
   },
 
+  // The elements which are text blocks for getTextBlockHints.
+  textBlockSelector: "p, li, dt, dd, td, th, pre, blockquote, h1, h2, h3, h4, h5, h6",
+
+  // Returns LocalHints for the visible blocks of text in this frame, such as paragraphs, list items,
+  // table cells and code blocks, rather than for clickable elements. When blocks are nested (e.g. a
+  // paragraph within a list item), the outer block only gets a hint if its text starts outside of
+  // the inner block; otherwise, both hints would select the same text.
+  getTextBlockHints(elements = null) {
+    if (!document.documentElement) return [];
+    elements = (elements ?? this.getAllElements(document.documentElement))
+      .filter((element) => element.matches(this.textBlockSelector))
+      .filter((element) => {
+        if (DomUtils.isEditable(element)) return false;
+        const nodes = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let node = nodes.nextNode();
+        while (node && node.data.trim().length == 0) node = nodes.nextNode();
+        return node?.parentElement.closest(this.textBlockSelector) === element;
+      });
+    return this.getHintsForVisibleElements(elements);
+  },
+
+  // Returns LocalHints for the visible elements in this frame which match `selector`, a selector for
+  // images, videos, audio or canvases. Unlike getLocalHints, elements which are covered by other
+  // elements still get hints, because video players are commonly covered by their controls.
+  getMediaHints(selector, elements = null) {
+    if (!document.documentElement) return [];
+    elements = (elements ?? this.getAllElements(document.documentElement))
+      .filter((element) => element.matches(selector));
+    return this.getHintsForVisibleElements(elements);
+  },
+
+  // The elements which are form controls for getFormControlHints.
+  formControlSelector: "input:not([type=hidden]), select, textarea, [contenteditable]",
+
+  // Returns LocalHints for the visible and enabled form controls in this frame: inputs, selects,
+  // checkboxes, radio buttons, text areas and other editable elements.
+  getFormControlHints(elements = null) {
+    if (!document.documentElement) return [];
+    elements = (elements ?? this.getAllElements(document.documentElement))
+      .filter((element) => element.matches(this.formControlSelector))
+      .filter((element) => !element.disabled)
+      .filter((element) => !element.hasAttribute("contenteditable") || element.isContentEditable)
+      // Only hint the outermost of nested editable elements.
+      .filter((element) => !element.parentElement?.isContentEditable);
+    return this.getHintsForVisibleElements(elements);
+  },
+
+  // Returns LocalHints for those of `elements` which are visible, positioned within the page.
+  getHintsForVisibleElements(elements) {
+    const { top, left } = DomUtils.getViewportTopLeft();
+    const hints = [];
+    for (const element of elements) {
+      const rect = DomUtils.getVisibleClientRect(element);
+      if (!rect) continue;
+      rect.top += top;
+      rect.left += left;
+      hints.push(new LocalHint({ element, rect }));
+    }
+    if (Settings.get("filterLinkHints") || Settings.get("mnemonicLinkHints")) {
+      for (const hint of hints) {
+        Object.assign(hint, this.generateLinkText(hint));
+      }
+    }
+    return hints;
+  },
+
   generateLinkText(hint) {
     const element = hint.element;
     let linkText = "";
@@ -1565,4 +2487,7 @@ Object.assign(globalThis, {
   LocalHints,
   AlphabetHints,
   FilterHints,
+  MnemonicHints,
+  getTextToCopy,
+  getMediaUrl,
 });
@@ -7,7 +7,7 @@
 //     t:
 //       command: "nextTab", ...
 //
-// This key-mapping structure is generated by Commands.installKeyStateMapping and may be
+// This key-mapping structure is generated by Commands.buildKeyStateMapping and may be
 // arbitrarily deep. Observe that @keyMapping["g"] is itself also a valid key mapping. At any point,
 // the key state (@keyState) consists of a (non-empty) list of such mappings.
 
@@ -31,6 +31,9 @@ class KeyHandlerMode extends Mode {
     if (countPrefix == null) countPrefix = 0;
     this.countPrefix = countPrefix;
     this.keyState = [this.keyMapping];
+    // The keydown events typed so far for the current command, including its count. These are
+    // passed to KeyRecorder once the command runs.
+    this.commandKeyEvents = [];
   }
 
   init(options) {
@@ -72,11 +75,15 @@ class KeyHandlerMode extends Mode {
       HintCoordinator.mouseOutOfLastClickedElement();
       return this.continueBubbling;
     } else if (this.isMappedKey(keyChar)) {
+      this.commandKeyEvents.push(event);
       this.handleKeyChar(keyChar);
       return this.suppressEvent;
     } else if (this.isCountKey(keyChar)) {
       const digit = parseInt(keyChar);
-      this.reset(this.keyState.length === 1 ? (this.countPrefix * 10) + digit : digit);
+      const isContinuingCount = this.keyState.length === 1;
+      const keyEvents = isContinuingCount ? this.commandKeyEvents : [];
+      this.reset(isContinuingCount ? (this.countPrefix * 10) + digit : digit);
+      this.commandKeyEvents = keyEvents.concat([event]);
       return this.suppressEvent;
     } else {
       if (keyChar) this.reset();
@@ -136,8 +143,12 @@ class KeyHandlerMode extends Mode {
     if (this.keyState[0].command != null) {
       const command = this.keyState[0];
       const count = this.countPrefix > 0 ? this.countPrefix : null;
+      const keyEvents = this.commandKeyEvents;
       this.reset();
-      this.commandHandler({ command, count });
+      KeyRecorder.waitFor(this.commandHandler({ command, count }), keyEvents);
+      // This is recorded after the command has run, so that the command which stops a recording is
+      // not itself recorded.
+      KeyRecorder.recordKeys(keyEvents);
       if ((this.options.count != null) && (--this.options.count <= 0)) {
         this.exit();
       }
@@ -12,14 +12,17 @@ class NormalMode extends KeyHandlerMode {
 
     super.init(Object.assign(defaults, options));
 
-    chrome.storage.session.get(
-      "normalModeKeyStateMapping",
-      (items) => this.setKeyMapping(items.normalModeKeyStateMapping),
-    );
+    const storageKeys = ["normalModeKeyStateMapping", "siteKeyStateMappings"];
+    const loadKeyMappings = () =>
+      chrome.storage.session.get(
+        storageKeys,
+        (items) => this.setKeyMappings(items.normalModeKeyStateMapping, items.siteKeyStateMappings),
+      );
+    loadKeyMappings();
 
     chrome.storage.onChanged.addListener((changes, area) => {
-      if (area === "session" && changes.normalModeKeyStateMapping?.newValue) {
-        this.setKeyMapping(changes.normalModeKeyStateMapping.newValue);
+      if (area === "session" && storageKeys.some((key) => changes[key]?.newValue)) {
+        loadKeyMappings();
       }
     });
 
@@ -30,7 +33,41 @@ class NormalMode extends KeyHandlerMode {
     });
   }
 
-  commandHandler({ command: registryEntry, count }) {
+  // - siteKeyStateMappings: a list of { pattern, keyStateMapping }, one for each `site` block in the
+  //   user's key mappings.
+  setKeyMappings(globalKeyMapping, siteKeyStateMappings) {
+    this.globalKeyMapping = globalKeyMapping;
+    this.siteKeyStateMappings = siteKeyStateMappings || [];
+    this.updateKeyMappingForUrl();
+  }
+
+  // Use the key mapping of the first site block whose pattern matches this frame's URL, or
+  // otherwise the global key mapping. This is called again whenever the URL may have changed.
+  updateKeyMappingForUrl() {
+    if (this.globalKeyMapping == null) return;
+    const url = globalThis.location?.href ?? "";
+    const site = this.siteKeyStateMappings.find(({ pattern }) =>
+      Utils.urlPatternToRegexp(pattern).test(url)
+    );
+    const keyMapping = site ? site.keyStateMapping : this.globalKeyMapping;
+    if (keyMapping !== this.keyMapping) {
+      this.setKeyMapping(keyMapping);
+    }
+  }
+
+  // Runs the command in `registryEntry`, and remembers it for repeatLastCommand if it's
+  // dot-repeatable.
+  async commandHandler({ command: registryEntry, count }) {
+    if (registryEntry.dotRepeatable) {
+      // Record the count as typed, so that repeatLastCommand applies the command's own defaults.
+      chrome.runtime.sendMessage({ handler: "setLastCommand", registryEntry, count });
+    }
+    await this.runCommand(registryEntry, count);
+  }
+
+  // Returns a promise which resolves when the command has been run, so that the commands in a macro
+  // can be run in order.
+  async runCommand(registryEntry, count) {
     if (registryEntry.command === "Vomnibar.activateCommandSelection") {
       // Store the raw count so the Vomnibar can propagate it to the selected command.
       registryEntry.options.prefixCount = count;
@@ -40,9 +77,19 @@ class NormalMode extends KeyHandlerMode {
       count = (count ?? 1) * registryEntry.options.count;
     }
 
+    if (registryEntry.macro) {
+      // Each of the macro's commands gets the count, and applies its own defaults and limits.
+      for (const step of registryEntry.macro) {
+        await this.runCommand(step, count);
+      }
+      return;
+    }
+
     // closeTabsOnLeft and closeTabsOnRight interpret a null count as "close all tabs in
     // {direction}", so don't default the count to 1 for those commands. See #4296.
-    const allowNullCount = ["closeTabsOnLeft", "closeTabsOnRight"].includes(registryEntry.command);
+    // repeatLastCommand interprets a null count as "use the repeated command's count".
+    const allowNullCount = ["closeTabsOnLeft", "closeTabsOnRight", "repeatLastCommand"]
+      .includes(registryEntry.command);
     if (!allowNullCount && count == null) {
       count = 1;
     }
@@ -63,15 +110,15 @@ class NormalMode extends KeyHandlerMode {
       // We never return to a UI-component frame (e.g. the help dialog), it might have lost the
       // focus.
       const sourceFrameId = globalThis.isVimiumUIComponent ? 0 : frameId;
-      chrome.runtime.sendMessage({
+      await chrome.runtime.sendMessage({
         handler: "sendMessageToFrames",
         message: { handler: "runInTopFrame", sourceFrameId, registryEntry },
       });
     } else if (registryEntry.background) {
-      chrome.runtime.sendMessage({ handler: "runBackgroundCommand", registryEntry, count });
+      await chrome.runtime.sendMessage({ handler: "runBackgroundCommand", registryEntry, count });
     } else {
       const commandFn = NormalModeCommands[registryEntry.command];
-      commandFn(count, { registryEntry });
+      await commandFn(count, { registryEntry });
     }
   }
 }
@@ -175,16 +222,10 @@ const NormalModeCommands = {
   },
 
   copyCurrentUrl() {
-    chrome.runtime.sendMessage({ handler: "getCurrentTabUrl" }, function (url) {
-      HUD.copyToClipboard(url);
-      // This length is determined empirically based on a 350px width of the HUD. An alternate
-      // solution is to have the HUD ellipsize based on its width.
-      const maxLength = 40;
-      if (url.length > maxLength) {
-        url = url.slice(0, maxLength - 2) + "...";
-      }
-      HUD.show(`Yanked ${url}`, 2000);
-    });
+    chrome.runtime.sendMessage(
+      { handler: "getCurrentTabUrl" },
+      (url) => HUD.copyUrlToClipboard(url),
+    );
   },
 
   openCopiedUrlInNewTab(count, request) {
@@ -363,11 +404,17 @@ const NormalModeCommands = {
   "LinkHints.activateModeWithQueue": LinkHints.activateModeWithQueue.bind(LinkHints),
   "LinkHints.activateModeToOpenIncognito": LinkHints.activateModeToOpenIncognito.bind(LinkHints),
   "LinkHints.activateModeToDownloadLink": LinkHints.activateModeToDownloadLink.bind(LinkHints),
+  "LinkHints.activateModeToCopy": LinkHints.activateModeToCopy.bind(LinkHints),
+  "LinkHints.activateModeToSelectText": LinkHints.activateModeToSelectText.bind(LinkHints),
+  "LinkHints.activateModeForMultipleLinks": LinkHints.activateModeForMultipleLinks.bind(LinkHints),
+  "LinkHints.activateModeForMedia": LinkHints.activateModeForMedia.bind(LinkHints),
+  "LinkHints.activateModeForFormControls": LinkHints.activateModeForFormControls.bind(LinkHints),
   "LinkHints.activateModeToCopyLinkUrl": LinkHints.activateModeToCopyLinkUrl.bind(LinkHints),
 
   "Vomnibar.activate": Vomnibar.activate.bind(Vomnibar),
   "Vomnibar.activateInNewTab": Vomnibar.activateInNewTab.bind(Vomnibar),
   "Vomnibar.activateTabSelection": Vomnibar.activateTabSelection.bind(Vomnibar),
+  "Vomnibar.activateRecentlyClosed": Vomnibar.activateRecentlyClosed.bind(Vomnibar),
   "Vomnibar.activateBookmarks": Vomnibar.activateBookmarks.bind(Vomnibar),
   "Vomnibar.activateBookmarksInNewTab": Vomnibar.activateBookmarksInNewTab.bind(Vomnibar),
   "Vomnibar.activateCommandSelection": Vomnibar.activateCommandSelection.bind(Vomnibar),
@@ -376,6 +423,9 @@ const NormalModeCommands = {
 
   "Marks.activateCreateMode": Marks.activateCreateMode.bind(Marks),
   "Marks.activateGotoMode": Marks.activateGotoMode.bind(Marks),
+
+  "KeyRecorder.toggleRecording": KeyRecorder.toggleRecording.bind(KeyRecorder),
+  "KeyRecorder.activateReplayMode": KeyRecorder.activateReplayMode.bind(KeyRecorder),
 };
 
 // The types in <input type="..."> that we consider for focusInput command. Right now this is
@@ -184,6 +184,29 @@ class Movement {
     return this.selection.addRange(range);
   }
 
+  // Collapses the selection to the first non-whitespace character of `textNode`.
+  setCaretAtStartOfTextNode(textNode) {
+    const offset = textNode.data.length - textNode.data.replace(/^\s+/, "").length;
+    const range = document.createRange();
+    range.setStart(textNode, offset);
+    range.setEnd(textNode, offset);
+    this.setSelectionRange(range);
+  }
+
+  // Collapses the selection to the first visible, non-whitespace character within `element`.
+  // Returns false if the element has no such text.
+  setCaretAtStartOfElement(element) {
+    let node;
+    const nodes = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while ((node = nodes.nextNode())) {
+      if ((node.data.trim().length > 0) && DomUtils.getVisibleClientRect(node.parentElement)) {
+        this.setCaretAtStartOfTextNode(node);
+        return true;
+      }
+    }
+    return false;
+  }
+
   // For "aw", "as". We don't do "ap" (for paragraphs), because Chrome paragraph movements are
   // weird.
   selectLexicalEntity(entity, count) {
@@ -328,6 +351,11 @@ class VisualMode extends KeyHandlerMode {
         }),
     });
 
+    // The caller can choose where the selection starts; see LinkHints.activateModeToSelectText.
+    if (options.anchorElement) {
+      this.movement.setCaretAtStartOfElement(options.anchorElement);
+    }
+
     // Establish or use the initial selection. If that's not possible, then enter caret mode.
     if (this.name !== "caret") {
       if (["Caret", "Range"].includes(this.selection.type)) {
@@ -597,12 +625,7 @@ class CaretMode extends VisualMode {
       if ((node.nodeType === 3) && (50 <= node.data.trim().length)) {
         const element = node.parentElement;
         if (DomUtils.getVisibleClientRect(element) && !DomUtils.isEditable(element)) {
-          // Start at the offset of the first non-whitespace character.
-          const offset = node.data.length - node.data.replace(/^\s+/, "").length;
-          const range = document.createRange();
-          range.setStart(node, offset);
-          range.setEnd(node, offset);
-          this.movement.setSelectionRange(range);
+          this.movement.setCaretAtStartOfTextNode(node);
           return true;
         }
       }
@@ -613,3 +636,4 @@ class CaretMode extends VisualMode {
 
 globalThis.VisualMode = VisualMode;
 globalThis.VisualLineMode = VisualLineMode;
+globalThis.CaretMode = CaretMode;
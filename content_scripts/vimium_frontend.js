@@ -442,9 +442,13 @@ async function checkIfEnabledForUrl() {
   Utils._browserInfoLoaded = true;
   // This is the first time we learn what this frame's ID is.
   globalThis.frameId = response.frameId;
+  // The settings profile can be chosen per window.
+  await Settings.setWindowId(response.windowId);
 
   if (normalMode == null) installModes();
   normalMode.setPassKeys(response.passKeys);
+  // Site-specific key mappings are chosen by URL, so they may need to change too.
+  normalMode.updateKeyMappingForUrl();
   // Hide the HUD if we're not enabled.
   if (!isEnabledForUrl) HUD.hide(true, false);
 }
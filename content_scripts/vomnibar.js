@@ -24,6 +24,13 @@ const Vomnibar = {
     });
   },
 
+  activateRecentlyClosed(sourceFrameId) {
+    this.open(sourceFrameId, {
+      completer: "sessions",
+      selectFirst: true,
+    });
+  },
+
   activateBookmarks(sourceFrameId, registryEntry) {
     const options = Object.assign({}, registryEntry.options, {
       completer: "bookmarks",
@@ -69,7 +76,18 @@ const Vomnibar = {
   init() {
     if (!this.vomnibarUI) {
       this.vomnibarUI = new UIComponent();
-      this.vomnibarUI.load("pages/vomnibar_page.html", "vomnibar-frame");
+      this.vomnibarUI.load(
+        "pages/vomnibar_page.html",
+        "vomnibar-frame",
+        this.handleUIComponentMessage.bind(this),
+      );
+    }
+  },
+
+  handleUIComponentMessage({ data }) {
+    if (data.name == "copyUrl") {
+      // The user chose to copy a suggestion's URL.
+      HUD.copyUrlToClipboard(data.url);
     }
   },
 
@@ -289,6 +289,27 @@ const DomUtils = {
     return false;
   },
 
+  // Like isDOMDescendant, but also true if child is within the shadow DOM of parent, or of one of
+  // its descendants.
+  isComposedDescendant(parent, child) {
+    let node = child;
+    while (node != null) {
+      if (node === parent) return true;
+      node = node.parentNode ?? node.host;
+    }
+    return false;
+  },
+
+  // True if selector is a CSS selector which querySelector accepts.
+  isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
   // True if element is editable and contains the active selection range.
   isSelected(element) {
     const selection = document.getSelection();
@@ -552,6 +573,17 @@ const DomUtils = {
       : undefined) || element.parentElement;
   },
 
+  // Returns the shadow root of `element`, whether it's open or closed, or null if it has none. Pages
+  // can't access closed shadow roots, but content scripts can, through chrome.dom in Chrome and
+  // openOrClosedShadowRoot in Firefox.
+  getShadowRoot(element) {
+    if ("openOrClosedShadowRoot" in element) return element.openOrClosedShadowRoot;
+    if (globalThis.chrome?.dom?.openOrClosedShadowRoot && element instanceof HTMLElement) {
+      return chrome.dom.openOrClosedShadowRoot(element);
+    }
+    return element.shadowRoot;
+  },
+
   // This tests whether a window is too small to be useful.
   windowIsTooSmall() {
     return (globalThis.innerWidth < 3) || (globalThis.innerHeight < 3);
@@ -108,6 +108,37 @@ const Rect = {
       Math.min(rect1.bottom, rect2.bottom),
     );
   },
+
+  // Positions boxes, such as link hint markers, so that they overlap each other as little as
+  // possible. Each box is { width, height, bounds }, and its top-left corner is kept within the
+  // rect `bounds` (for a hint marker, its element's rect). Boxes are placed in order, each at the
+  // first position in reading order where it doesn't overlap a box which has already been placed.
+  // Such positions are the top-left corner of the bounds, or next to a placed box. If there are
+  // none, the box is put at the top-left corner of its bounds. Returns a rect for each box.
+  placeWithoutOverlaps(boxes) {
+    const placed = [];
+    const byValue = (a, b) => a - b;
+    return boxes.map(({ width, height, bounds }) => {
+      const maxLeft = Math.max(bounds.left, bounds.right - width);
+      const maxTop = Math.max(bounds.top, bounds.bottom - height);
+      const area = this.create(bounds.left, bounds.top, maxLeft + width, maxTop + height);
+      const nearby = placed.filter((rect) => this.intersects(rect, area));
+      const lefts = new Set([bounds.left, ...nearby.map((rect) => rect.right)]);
+      const tops = new Set([bounds.top, ...nearby.map((rect) => rect.bottom)]);
+      const candidates = Array.from(tops).filter((top) => top <= maxTop).sort(byValue)
+        .flatMap((top) =>
+          Array.from(lefts).filter((left) => left <= maxLeft).sort(byValue)
+            .map((left) => this.create(left, top, left + width, top + height))
+        );
+      const rect = candidates.find((candidate) =>
+        !nearby.some((other) =>
+          this.intersects(candidate, other)
+        )
+      ) ?? this.create(bounds.left, bounds.top, bounds.left + width, bounds.top + height);
+      placed.push(rect);
+      return rect;
+    });
+  },
 };
 
 globalThis.Rect = Rect;
@@ -11,9 +11,14 @@ const defaultOptions = {
   scrollStepSize: 60,
   smoothScroll: true,
   keyMappings: "# Insert your preferred key mappings here.",
+  // The URL of a file of key mappings, which are applied after keyMappings. See
+  // RemoteKeyMappings.
+  keyMappingsUrl: "",
   linkHintCharacters: "sadfjklewcmpgh",
   linkHintNumbers: "0123456789",
   filterLinkHints: false,
+  // Whether hints are derived from the initials of the links' text. See MnemonicHints.
+  mnemonicLinkHints: false,
   hideHud: false,
   hideUpdateNotifications: false,
   userDefinedLinkHintCss: `\
@@ -43,6 +48,11 @@ div > .vimiumHintMarker > .matchingCharacter {
     },
   ],
 
+  // Per-site CSS selectors for link hints, as [{ exclude, include, pattern }]. On pages whose URL
+  // matches `pattern`, elements matching the `include` selectors get hints, and elements matching
+  // the `exclude` selectors never do. Patterns use the same syntax as exclusion rules.
+  hintSelectorRules: [],
+
   // NOTE: If a page contains both a single angle-bracket link and a double angle-bracket link,
   // then in most cases the single bracket link will be "prev/next page" and the double bracket
   // link will be "first/last page", so we put the single bracket first in the pattern string so
@@ -80,20 +90,56 @@ w: https://www.wikipedia.org/w/index.php?title=Special:Search&search=%s Wikipedi
   waitForEnterForFilteredHints: true,
   helpDialog_showAdvancedCommands: false,
   ignoreKeyboardLayout: false,
+  // Named sets of settings which override the settings above while the profile is active, e.g.
+  // { "reading": { "scrollStepSize": 120, "smoothScroll": false } }. See profileSettingKeys.
+  settingsProfiles: {},
+  // The name of the profile which is active in every window which hasn't chosen its own profile, or
+  // "" for none.
+  activeProfile: "",
 };
 
+// The settings which a profile can override. These are the settings which are read by the content
+// scripts, where we know which window the setting is for.
+const profileSettingKeys = [
+  "filterLinkHints",
+  "grabBackFocus",
+  "hideHud",
+  "ignoreKeyboardLayout",
+  "linkHintCharacters",
+  "linkHintNumbers",
+  "mnemonicLinkHints",
+  "nextPatterns",
+  "openVomnibarOnNewTabPage",
+  "previousPatterns",
+  "regexFindMode",
+  "scrollStepSize",
+  "smoothScroll",
+  "waitForEnterForFilteredHints",
+];
+
 /*
  * This class fetches and exposes the view over Vimium's settings data, which is stored in
- * chrome.storage. It merges the user's customizations into the default setting values.
- * It dispatches the "change" event when the settings have been changed.
+ * chrome.storage. It merges the user's customizations into the default setting values, and the
+ * active settings profile's overrides into those.
+ * It dispatches the "change" event when the settings or the active profile have been changed.
  */
 const Settings = {
   _settings: null,
   _chromeStorageListenerInstalled: false,
+  // The window which these settings are for, if known. Only content scripts set this; see
+  // setWindowId.
+  _windowId: null,
+  // The profile chosen for this window, which takes precedence over the activeProfile setting. This
+  // is null if the window hasn't chosen a profile, and "" if it has chosen to use no profile.
+  _windowProfile: null,
 
   defaultOptions,
   newTabDestinations,
   vimiumNewTabPageUrl,
+  profileSettingKeys,
+  // The chrome.storage.session key of the profiles chosen for individual windows, as a map of
+  // windowId => profile name.
+  windowProfilesStorageKey: "windowSettingsProfiles",
 
   async onLoaded() {
     if (!this.isLoaded()) {
@@ -101,13 +147,19 @@ const Settings = {
     }
   },
 
-  async chromeStorageOnChanged(_changes, area) {
+  async chromeStorageOnChanged(changes, area) {
     // We store data with keys [settings-v1, ...] into the local storage. Only broadcast an event if
     // the object stored with the settings key has changed.
     // We only store settings in the sync area, so storage.sync changes must be settings changes.
     if (area == "sync") {
       await this.load();
       this.dispatchEvent("change");
+    } else if (area == "session" && this.windowProfilesStorageKey in changes) {
+      const profile = await this.getWindowProfile(this._windowId);
+      if (profile != this._windowProfile) {
+        this._windowProfile = profile;
+        this.dispatchEvent("change");
+      }
     }
   },
 
@@ -136,7 +188,61 @@ const Settings = {
     if (!this.isLoaded()) {
       throw new Error(`Getting the setting ${key} before settings have been loaded.`);
     }
-    return globalThis.structuredClone(this._settings[key]);
+    const overrides = this.getProfileOverrides(this.getActiveProfile());
+    const value = key in overrides ? overrides[key] : this._settings[key];
+    return globalThis.structuredClone(value);
+  },
+
+  // The name of the profile which is in effect for this window, or "" if there's none.
+  getActiveProfile() {
+    return this._windowProfile ?? this._settings.activeProfile;
+  },
+
+  // Returns the settings which the profile `name` overrides. Settings which profiles can't override
+  // are ignored.
+  getProfileOverrides(name) {
+    const profile = this._settings.settingsProfiles[name] ?? {};
+    return Object.fromEntries(
+      Object.entries(profile).filter(([key]) => profileSettingKeys.includes(key)),
+    );
+  },
+
+  getProfileNames() {
+    return Object.keys(this._settings.settingsProfiles);
+  },
+
+  // Called by content scripts once they learn which window they're in, so that the profile chosen
+  // for that window is used.
+  async setWindowId(windowId) {
+    this._windowId = windowId;
+    const profile = await this.getWindowProfile(windowId);
+    if (profile != this._windowProfile) {
+      this._windowProfile = profile;
+      this.dispatchEvent("change");
+    }
+  },
+
+  // Returns the name of the profile chosen for the window `windowId`, or null if it hasn't chosen
+  // one.
+  async getWindowProfile(windowId) {
+    if (windowId == null) return null;
+    const key = this.windowProfilesStorageKey;
+    const windowProfiles = (await chrome.storage.session.get(key))[key] ?? {};
+    return windowProfiles[windowId] ?? null;
+  },
+
+  // Chooses the profile `name` for the window `windowId`. If `name` is null, the window uses the
+  // activeProfile setting again.
+  async setWindowProfile(windowId, name) {
+    const key = this.windowProfilesStorageKey;
+    const windowProfiles = (await chrome.storage.session.get(key))[key] ?? {};
+    if ((windowProfiles[windowId] ?? null) == name) return;
+    if (name == null) {
+      delete windowProfiles[windowId];
+    } else {
+      windowProfiles[windowId] = name;
+    }
+    await chrome.storage.session.set({ [key]: windowProfiles });
   },
 
   async set(key, value) {
@@ -74,6 +74,12 @@ const Utils = {
     return string.replace(/</g, "&lt;").replace(/>/g, "&gt;");
   },
 
+  // Converts a URL pattern, as used by exclusion rules and site-specific key mappings, into a
+  // RegExp. "*" matches zero or more characters. Throws a SyntaxError if the pattern is invalid.
+  urlPatternToRegexp(pattern) {
+    return new RegExp("^" + pattern.replace(/\*/g, ".*") + "$");
+  },
+
   // Generates a unique ID
   createUniqueId: (function () {
     let id = 0;
@@ -80,6 +80,33 @@ const ActionPage = {
     this.syncEnabledKeysCaption();
 
     if (rules.length > 0) this.showExclusionRulesEditor();
+
+    await this.initProfilePicker(activeTab.windowId);
+  },
+
+  // Lets the user choose the settings profile for the current window. Unlike the exclusion rules,
+  // the choice takes effect immediately.
+  async initProfilePicker(windowId) {
+    const names = Settings.getProfileNames();
+    if (names.length == 0) return;
+    // null means the window uses the activeProfile setting, and "" means it uses no profile.
+    const choices = [null, ""].concat(names);
+    const activeProfile = Settings.get("activeProfile");
+    const select = document.querySelector("#profile-select");
+    for (const choice of choices) {
+      const option = document.createElement("option");
+      if (choice == null) {
+        option.textContent = `Same as other windows (${activeProfile || "no profile"})`;
+      } else {
+        option.textContent = choice || "No profile";
+      }
+      select.appendChild(option);
+    }
+    select.selectedIndex = Math.max(0, choices.indexOf(await Settings.getWindowProfile(windowId)));
+    select.addEventListener("change", () => {
+      Settings.setWindowProfile(windowId, choices[select.selectedIndex]);
+    });
+    document.querySelector("#profile-container").style.display = "block";
   },
 
   async isVimiumInstalledInTab(tabId) {
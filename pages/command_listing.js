@@ -1,5 +1,5 @@
 import "./all_content_scripts.js";
-import { allCommands } from "../background_scripts/all_commands.js";
+import { allCommands, describeOptionType } from "../background_scripts/all_commands.js";
 
 // The ordering we show key bindings is alphanumerical, except that special keys sort to the end.
 function compareKeys(a, b) {
@@ -60,9 +60,11 @@ async function populatePage() {
 
       if (command.options) {
         const ul = el.querySelector(".options ul");
-        for (const [name, desc] of Object.entries(command.options)) {
+        for (const [name, option] of Object.entries(command.options)) {
           const li = document.createElement("li");
-          li.innerHTML = `<code>${name}</code>: ` + replaceBackticksWithCodeTags(desc);
+          const type = replaceBackticksWithCodeTags(describeOptionType(option));
+          li.innerHTML = `<code>${name}</code> (${type}): ` +
+            replaceBackticksWithCodeTags(option.desc);
           ul.appendChild(li);
         }
       } else {
@@ -0,0 +1,172 @@
+// Exports and imports Vimium's whole configuration as a single JSON file. This is used for backups,
+// and for sharing a standard configuration with other people.
+//
+// The file has this shape:
+//   {
+//     "formatVersion": 1,
+//     "settingsVersion": "2.4.1", // The version of Vimium which exported the file.
+//     "settings": { ... } // The settings which differ from their default values.
+//   }
+// Backups exported by older versions of Vimium, which are a flat object of settings, can also be
+// imported.
+
+const formatVersion = 1;
+
+// When importing a configuration, the user chooses for each of these sections whether the imported
+// settings are merged into their current settings, replace them, or are skipped.
+// - keys: the settings in this section. The last section has every setting not in another section.
+const sections = [
+  { name: "keyMappings", title: "Custom key mappings", keys: ["keyMappings", "keyMappingsUrl"] },
+  { name: "searchEngines", title: "Custom search engines", keys: ["searchEngines"] },
+  { name: "exclusionRules", title: "Excluded URLs and keys", keys: ["exclusionRules"] },
+  {
+    name: "linkHints",
+    title: "Link hints",
+    keys: [
+      "filterLinkHints",
+      "hintSelectorRules",
+      "linkHintCharacters",
+      "linkHintNumbers",
+      "mnemonicLinkHints",
+      "userDefinedLinkHintCss",
+      "waitForEnterForFilteredHints",
+    ],
+  },
+  { name: "other", title: "Other settings", keys: null },
+];
+
+const importModes = ["merge", "replace", "skip"];
+
+function getSectionKeys(section) {
+  if (section.keys) return section.keys;
+  const keysInSections = sections.flatMap((s) => s.keys ?? []);
+  return Object.keys(Settings.defaultOptions).filter((key) => !keysInSections.includes(key));
+}
+
+// Returns the contents of the configuration file for `settings`.
+function exportConfig(settings) {
+  settings = Settings.pruneOutDefaultValues(settings);
+  delete settings.settingsVersion;
+  // Serialize the JSON keys in order, so that they're stable across backups. See #4764.
+  const keys = Object.keys(settings).sort();
+  const sortedSettings = Object.fromEntries(keys.map((k) => [k, settings[k]]));
+  const config = {
+    formatVersion,
+    settingsVersion: Utils.getCurrentVersion(),
+    settings: sortedSettings,
+  };
+  // Don't use an array replacer in JSON.stringify; it filters nested object keys too, which would
+  // drop nested fields inside exclusionRules (e.g. `pattern`, `passKeys`). See #4853.
+  return JSON.stringify(config, null, 2) + "\n";
+}
+
+// Parses the contents of a configuration file, and migrates its settings if they're from an older
+// version of Vimium. Settings which Vimium doesn't know of are dropped. Throws an Error if the file
+// isn't a configuration that can be imported.
+function parseConfig(text) {
+  const config = JSON.parse(text);
+  if (config == null || typeof config != "object" || Array.isArray(config)) {
+    throw new Error("This file doesn't contain a Vimium configuration.");
+  }
+  let settings;
+  if ("formatVersion" in config) {
+    if (!(config.formatVersion <= formatVersion)) {
+      throw new Error(
+        "This configuration was exported by a newer version of Vimium. Update Vimium to import it.",
+      );
+    }
+    settings = Object.assign({}, config.settings);
+    settings.settingsVersion = config.settingsVersion ?? Utils.getCurrentVersion();
+  } else {
+    // This is a backup from a version of Vimium before formatVersion was introduced.
+    settings = Object.assign({}, config);
+  }
+  settings = Settings.migrateSettingsIfNecessary(settings);
+  return Object.fromEntries(
+    Object.entries(settings).filter(([key]) => key in Settings.defaultOptions),
+  );
+}
+
+// Merging keeps the current value of a setting, and adds the imported value to it where that makes
+// sense. Key mappings and search engines are appended, so that the imported statements take
+// precedence, and exclusion rules and hint selector rules are combined, with imported rules
+// replacing those with the same pattern.
+function mergeSetting(key, currentValue, importedValue) {
+  switch (key) {
+    case "keyMappings":
+    case "searchEngines":
+      if (currentValue.includes(importedValue.trim())) return currentValue;
+      return currentValue.trimEnd() + "\n" + importedValue;
+    case "exclusionRules":
+    case "hintSelectorRules": {
+      const patterns = importedValue.map((rule) => rule.pattern);
+      return currentValue.filter((rule) => !patterns.includes(rule.pattern)).concat(importedValue);
+    }
+    default:
+      return importedValue;
+  }
+}
+
+// Returns the settings which result from importing `importedSettings` into `currentSettings`.
+// - sectionModes: a map of section name to one of importModes. Sections default to "merge". When
+//   a section is replaced, its settings which aren't in the imported configuration are reset to
+//   their default values.
+function applyConfig(currentSettings, importedSettings, sectionModes) {
+  const settings = globalThis.structuredClone(currentSettings);
+  for (const section of sections) {
+    const mode = sectionModes[section.name] ?? "merge";
+    if (!importModes.includes(mode)) {
+      throw new Error(`"${mode}" is not a valid import mode for ${section.name}.`);
+    }
+    if (mode == "skip") continue;
+    for (const key of getSectionKeys(section)) {
+      if (mode == "replace") {
+        settings[key] = globalThis.structuredClone(
+          key in importedSettings ? importedSettings[key] : Settings.defaultOptions[key],
+        );
+      } else if (key in importedSettings) {
+        settings[key] = mergeSetting(key, settings[key], importedSettings[key]);
+      }
+    }
+  }
+  return settings;
+}
+
+// Returns the settings which differ between `before` and `after`, grouped by section, as
+// { sectionName: [{ key, before, after }] }.
+function diffConfig(before, after) {
+  const result = {};
+  for (const section of sections) {
+    result[section.name] = getSectionKeys(section)
+      .filter((key) => JSON.stringify(before[key]) != JSON.stringify(after[key]))
+      .map((key) => ({ key, before: before[key], after: after[key] }));
+  }
+  return result;
+}
+
+// Describes the change to one setting, for previewing an import. Multi-line text settings like key
+// mappings are shown as the lines which are removed ("-") and added ("+").
+function describeChange({ key, before, after }) {
+  const isText = typeof before == "string" && typeof after == "string";
+  if (isText && (before.includes("\n") || after.includes("\n"))) {
+    const beforeLines = before.split("\n");
+    const afterLines = after.split("\n");
+    const removed = beforeLines.filter((line) => !afterLines.includes(line));
+    const added = afterLines.filter((line) => !beforeLines.includes(line));
+    return [`${key}:`]
+      .concat(removed.map((line) => `- ${line}`))
+      .concat(added.map((line) => `+ ${line}`))
+      .join("\n");
+  }
+  return `${key}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`;
+}
+
+export {
+  applyConfig,
+  describeChange,
+  diffConfig,
+  exportConfig,
+  formatVersion,
+  parseConfig,
+  sections,
+};
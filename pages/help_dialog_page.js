@@ -1,6 +1,6 @@
 import "./all_content_scripts.js";
 import * as UIComponentMessenger from "./ui_component_messenger.js";
-import { allCommands } from "../background_scripts/all_commands.js";
+import { allCommands, describeOptionType } from "../background_scripts/all_commands.js";
 
 // The ordering we show key bindings is alphanumerical, except that special keys sort to the end.
 function compareKeys(a, b) {
@@ -22,6 +22,18 @@ function ellipsize(s, maxLength) {
   return s.substring(0, Math.max(0, maxLength - ellipsis.length)) + ellipsis;
 }
 
+// Returns a line of documentation for each of the options in the option string `options`, e.g.
+// "position=end", using the command's option schemas.
+function describeOptions(command, options) {
+  const names = options.split(/\s+/).map((option) => option.split("=")[0]);
+  return names
+    .filter((name) => command.options?.[name])
+    .map((name) => {
+      const option = command.options[name];
+      return `${name} (${describeOptionType(option).replaceAll("`", "")}): ${option.desc}`;
+    });
+}
+
 // Returns true if the command should be labeled as "advanced" for UI purposes.
 function isAdvancedCommand(command, options) {
   // Use some bespoke logic to label some command + option combos as advanced.
@@ -113,11 +125,9 @@ const HelpDialogPage = {
     if (options != "") {
       const optionsString = ellipsize(options, maxLength - command.desc.length);
       desc += ` (${optionsString})`;
-      const isTruncated = optionsString != options;
-      if (isTruncated) {
-        // Show the full option string on hover.
-        descEl.title = `${command.desc} (${options})`;
-      }
+      // Show the full option string, and what the options do, on hover.
+      descEl.title = [`${command.desc} (${options})`, ...describeOptions(command, options)]
+        .join("\n");
     }
     descEl.textContent = desc;
     return rowEl;
@@ -0,0 +1,75 @@
+import "../lib/dom_utils.js";
+
+// The table-editor used for the per-site link hint selectors in the hintSelectorRules setting.
+const HintSelectorRulesEditor = {
+  init() {
+    document.querySelector("#hint-selector-add-button").addEventListener("click", () => {
+      this.addRow();
+      this.dispatchEvent("input");
+    });
+  },
+
+  // - rules: the value obtained from settings, with the shape [{pattern, include, exclude}].
+  setForm(rules = []) {
+    const rulesTable = document.querySelector("#hint-selector-rules");
+    // Remove any previous rows.
+    for (const el of rulesTable.querySelectorAll(".rule")) {
+      el.remove();
+    }
+    for (const rule of rules) {
+      this.addRow(rule.pattern, rule.include, rule.exclude);
+    }
+  },
+
+  // `pattern`, `include` and `exclude` are optional.
+  addRow(pattern, include, exclude) {
+    const rulesTable = document.querySelector("#hint-selector-rules");
+    const rowTemplate = document.querySelector("#hint-selector-rule-template").content;
+    const rowEl = rowTemplate.cloneNode(true);
+
+    const values = { pattern, include, exclude };
+    for (const [name, value] of Object.entries(values)) {
+      const inputEl = rowEl.querySelector(`[name=${name}]`);
+      inputEl.value = value ?? "";
+      inputEl.addEventListener("input", () => this.dispatchEvent("input"));
+    }
+
+    rowEl.querySelector(".remove").addEventListener("click", (e) => {
+      e.target.closest("tr").remove();
+      this.dispatchEvent("input");
+    });
+    rulesTable.appendChild(rowEl);
+  },
+
+  // Returns an array of rules, which can be stored in Settings.
+  getRules() {
+    const rows = Array.from(document.querySelectorAll("#hint-selector-rules tr.rule"));
+    return rows
+      .map((el) => {
+        return {
+          exclude: el.querySelector("[name=exclude]").value.trim(),
+          include: el.querySelector("[name=include]").value.trim(),
+          pattern: el.querySelector("[name=pattern]").value.trim(),
+        };
+      })
+      // Exclude blank patterns.
+      .filter((rule) => rule.pattern);
+  },
+
+  // Returns a message for each selector which isn't valid CSS.
+  getValidationErrors() {
+    const errors = [];
+    for (const rule of this.getRules()) {
+      for (const selector of [rule.include, rule.exclude]) {
+        if (selector && !DomUtils.isValidSelector(selector)) {
+          errors.push(`"${selector}" is not a valid CSS selector.`);
+        }
+      }
+    }
+    return errors;
+  },
+};
+
+Object.assign(HintSelectorRulesEditor, EventDispatcher);
+
+export { HintSelectorRulesEditor };
@@ -1,7 +1,10 @@
 import "./all_content_scripts.js";
 import { ExclusionRulesEditor } from "./exclusion_rules_editor.js";
+import { HintSelectorRulesEditor } from "./hint_selector_rules_editor.js";
+import * as configFile from "./config_file.js";
 import { allCommands } from "../background_scripts/all_commands.js";
 import { Commands, KeyMappingsParser } from "../background_scripts/commands.js";
+import { RemoteKeyMappings } from "../background_scripts/remote_key_mappings.js";
 import * as userSearchEngines from "../background_scripts/user_search_engines.js";
 
 const options = {
@@ -11,8 +14,10 @@ const options = {
   hideUpdateNotifications: "boolean",
   ignoreKeyboardLayout: "boolean",
   keyMappings: "string",
+  keyMappingsUrl: "string",
   linkHintCharacters: "string",
   linkHintNumbers: "string",
+  mnemonicLinkHints: "boolean",
   newTabCustomUrl: "string",
   newTabDestination: "option",
   nextPatterns: "string",
@@ -21,6 +26,7 @@ const options = {
   regexFindMode: "boolean",
   scrollStepSize: "number",
   searchEngines: "string",
+  settingsProfiles: "json",
   settingsVersion: "string", // This is a hidden field.
   smoothScroll: "boolean",
   userDefinedLinkHintCss: "string",
@@ -52,6 +58,13 @@ export async function init() {
 
   saveButton.addEventListener("click", () => saveOptions());
 
+  getOptionEl("keyMappings").addEventListener("input", () => showKeyMappingsDiagnostics());
+
+  document.querySelector("#reload-key-mappings-url").addEventListener(
+    "click",
+    () => reloadRemoteKeyMappings(),
+  );
+
   getOptionEl("filterLinkHints").addEventListener(
     "click",
     () => maintainLinkHintsView(),
@@ -94,9 +107,12 @@ export async function init() {
 
   ExclusionRulesEditor.init();
   ExclusionRulesEditor.addEventListener("input", onUpdated);
+  HintSelectorRulesEditor.init();
+  HintSelectorRulesEditor.addEventListener("input", onUpdated);
 
   const settings = Settings.getSettings();
   setFormFromSettings(settings);
+  showRemoteKeyMappingsStatus(await RemoteKeyMappings.getCache());
 }
 
 export function getOptionEl(optionName) {
@@ -128,6 +144,9 @@ function setFormFromSettings(settings) {
       case "string":
         el.value = value;
         break;
+      case "json":
+        el.value = JSON.stringify(value, null, 2);
+        break;
       case "option":
         const optionEl = document.querySelector(`input[name="${optionName}"][value="${value}"]`);
         optionEl.checked = true;
@@ -138,10 +157,12 @@ function setFormFromSettings(settings) {
   }
 
   ExclusionRulesEditor.setForm(settings["exclusionRules"]);
+  HintSelectorRulesEditor.setForm(settings["hintSelectorRules"]);
 
   document.querySelector("#upload-backup").value = "";
   maintainLinkHintsView();
   maintainNewTabUrlView();
+  showKeyMappingsDiagnostics();
 }
 
 function getSettingsFromForm() {
@@ -159,6 +180,10 @@ function getSettingsFromForm() {
       case "string":
         value = el.value.trim();
         break;
+      case "json":
+        // Invalid JSON is reported by getValidationErrors.
+        value = parseJson(el.value);
+        break;
       case "option":
         const optionEl = document.querySelector(`input[name="${optionName}"]:checked`);
         value = optionEl.value;
@@ -174,6 +199,7 @@ function getSettingsFromForm() {
     settings["linkHintCharacters"] = settings["linkHintCharacters"].toLowerCase();
   }
   settings["exclusionRules"] = ExclusionRulesEditor.getRules();
+  settings["hintSelectorRules"] = HintSelectorRulesEditor.getRules();
   return settings;
 }
 
@@ -181,11 +207,17 @@ function getValidationErrors() {
   const results = {};
   let text, parsed;
 
-  // keyMappings field.
-  text = getOptionEl("keyMappings").value.trim();
-  parsed = KeyMappingsParser.parse(text);
+  // keyMappings field. Its errors are shown in the key mappings diagnostics panel.
+  parsed = parseKeyMappings();
   if (parsed.validationErrors.length > 0) {
-    results["keyMappings"] = parsed.validationErrors.join("\n");
+    results["keyMappings"] = parsed.validationErrors.map(formatDiagnostic).join("\n");
+  }
+
+  // keyMappingsUrl field.
+  text = getOptionEl("keyMappingsUrl").value.trim();
+  if (text && !RemoteKeyMappings.isSupportedUrl(text)) {
+    results["keyMappingsUrl"] =
+      "This must be an http, https or file URL, e.g. https://example.com/vimiumrc";
   }
 
   // searchEngines field.
@@ -211,9 +243,126 @@ function getValidationErrors() {
     results["linkHintNumbers"] = "This must be at least two characters long.";
   }
 
+  // hintSelectorRules editor.
+  const selectorErrors = HintSelectorRulesEditor.getValidationErrors();
+  if (selectorErrors.length > 0) {
+    results["hintSelectorRules"] = selectorErrors.join("\n");
+  }
+
+  // settingsProfiles field.
+  text = getOptionEl("settingsProfiles").value;
+  const profilesError = getSettingsProfilesError(parseJson(text));
+  if (profilesError) {
+    results["settingsProfiles"] = profilesError;
+  }
+
   return results;
 }
 
+// Returns null if `text` isn't valid JSON.
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value == "object" && !Array.isArray(value);
+}
+
+// Returns a message describing what's wrong with the settingsProfiles setting, or null.
+function getSettingsProfilesError(profiles) {
+  if (!isPlainObject(profiles)) {
+    return 'This must be a JSON object of profiles, e.g. { "reading": { "scrollStepSize": 120 } }';
+  }
+  for (const [name, overrides] of Object.entries(profiles)) {
+    if (!isPlainObject(overrides)) {
+      return `The profile "${name}" must be a JSON object of settings.`;
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!Settings.profileSettingKeys.includes(key)) {
+        return `The profile "${name}" can't override "${key}". Profiles can override: ` +
+          Settings.profileSettingKeys.join(", ");
+      }
+      const defaultValue = Settings.defaultOptions[key];
+      if (typeof value != typeof defaultValue) {
+        return `In the profile "${name}", "${key}" must be a ${typeof defaultValue}.`;
+      }
+    }
+  }
+  return null;
+}
+
+// The user's key mappings are parsed after the default mappings, as they are by the background
+// page, so that conflicts with the default mappings are found.
+function parseKeyMappings() {
+  const text = getOptionEl("keyMappings").value;
+  return KeyMappingsParser.parse(text, false, Commands.getDefaultKeyConfig());
+}
+
+function formatDiagnostic({ lineNumber, column, message }) {
+  return `Line ${lineNumber}, column ${column}: ${message}`;
+}
+
+// Shows whether the key mappings at the keyMappingsUrl setting were fetched, and any errors in them.
+// - cache: the RemoteKeyMappings cache entry.
+function showRemoteKeyMappingsStatus(cache) {
+  const statusEl = document.querySelector("#key-mappings-url-status");
+  statusEl.replaceChildren();
+  const url = Settings.get("keyMappingsUrl");
+  if (!url) return;
+  const addLine = (text, className) => {
+    const el = document.createElement("div");
+    if (className) el.classList.add(className);
+    el.textContent = text;
+    statusEl.appendChild(el);
+  };
+  if (cache?.url != url) {
+    addLine("Not fetched yet.");
+    return;
+  }
+  if (cache.error) addLine(cache.error, "validation-message");
+  if (cache.fetchedAt != null) {
+    addLine(`Last fetched at ${new Date(cache.fetchedAt).toLocaleString()}.`);
+    const { validationErrors } = KeyMappingsParser.parse(cache.text);
+    for (const error of validationErrors) {
+      addLine(formatDiagnostic(error), "validation-message");
+    }
+  }
+}
+
+async function reloadRemoteKeyMappings() {
+  if (getOptionEl("keyMappingsUrl").value.trim() != Settings.get("keyMappingsUrl")) {
+    alert("Save your changes to the key mappings URL before fetching it.");
+    return;
+  }
+  // The background page can't read file URLs, so we read them here. See RemoteKeyMappings.canRead.
+  const url = Settings.get("keyMappingsUrl");
+  if (RemoteKeyMappings.isFileUrl(url)) {
+    await RemoteKeyMappings.update(url);
+  }
+  const cache = await chrome.runtime.sendMessage({ handler: "reloadRemoteKeyMappings" });
+  showRemoteKeyMappingsStatus(cache);
+}
+
+// Lists the errors and warnings for the key mappings textarea, as the user types.
+function showKeyMappingsDiagnostics() {
+  const panel = document.querySelector("#key-mappings-diagnostics");
+  panel.replaceChildren();
+  const { validationErrors, warnings } = parseKeyMappings();
+  const diagnostics = validationErrors.map((d) => ({ ...d, className: "validation-message" }))
+    .concat(warnings.map((d) => ({ ...d, className: "warning-message" })))
+    .sort((a, b) => (a.lineNumber - b.lineNumber) || (a.column - b.column));
+  for (const diagnostic of diagnostics) {
+    const el = document.createElement("div");
+    el.classList.add(diagnostic.className);
+    el.textContent = formatDiagnostic(diagnostic);
+    panel.appendChild(el);
+  }
+}
+
 function addValidationMessage(el, message) {
   el.classList.add("validation-error");
   const exampleEl = el.nextElementSibling;
@@ -237,9 +386,16 @@ function showValidationErrors() {
 
   const errors = getValidationErrors();
   for (const [optionName, message] of Object.entries(errors)) {
-    const el = getOptionEl(optionName);
-    addValidationMessage(el, message);
+    const el = optionName == "hintSelectorRules"
+      ? document.querySelector("#hint-selector-rules-container")
+      : getOptionEl(optionName);
+    if (optionName == "keyMappings") {
+      el.classList.add("validation-error");
+    } else {
+      addValidationMessage(el, message);
+    }
   }
+  showKeyMappingsDiagnostics();
   // Some options can be hidden in the UI. If they have validation errors, force them to be shown.
   if (errors["linkHintCharacters"]) {
     showElement(document.querySelector("#link-hint-characters-container"), true);
@@ -271,10 +427,14 @@ export async function saveOptions() {
     return;
   }
 
+  const previousKeyMappingsUrl = Settings.get("keyMappingsUrl");
   await Settings.setSettings(getSettingsFromForm());
   const el = document.querySelector("#save");
   el.disabled = true;
   el.textContent = "Saved";
+  if (Settings.get("keyMappingsUrl") != previousKeyMappingsUrl) {
+    await reloadRemoteKeyMappings();
+  }
 }
 
 function showElement(el, visible) {
@@ -312,16 +472,14 @@ function maintainLinkHintsView() {
     document.querySelector("#wait-for-enter"),
     isFilteredLinkhints,
   );
+  showElement(
+    document.querySelector("#mnemonic-link-hints"),
+    !isFilteredLinkhints,
+  );
 }
 
 export function prepareBackupSettings() {
-  const settings = Settings.pruneOutDefaultValues(getSettingsFromForm());
-  // Serialize the JSON keys in order, so that they're stable across backups. See #4764.
-  const keys = Object.keys(settings).sort();
-  const sortedSettings = Object.fromEntries(keys.map((k) => [k, settings[k]]));
-  // Don't use an array replacer in JSON.stringify; it filters nested object keys too, which would
-  // drop nested fields inside exclusionRules (e.g. `pattern`, `passKeys`). See #4853.
-  return JSON.stringify(sortedSettings, null, 2) + "\n";
+  return configFile.exportConfig(getSettingsFromForm());
 }
 
 function onDownloadBackupClicked() {
@@ -340,26 +498,77 @@ function onUploadBackupClicked() {
     const file = files[0];
     const reader = new FileReader();
     reader.readAsText(file);
-    reader.onload = async () => {
-      let backup;
+    reader.onload = () => {
+      let importedSettings;
       try {
-        backup = JSON.parse(reader.result);
+        importedSettings = configFile.parseConfig(reader.result);
       } catch (error) {
         console.log("parsing error:", error);
         alert("Failed to parse Vimium backup: " + error);
         return;
       }
-
-      await Settings.setSettings(backup);
-      setFormFromSettings(Settings.getSettings());
-      const saveButton = document.querySelector("#save");
-      saveButton.disabled = true;
-      saveButton.textContent = "Saved";
-      alert("Settings have been restored from the backup.");
+      showImportPreview(importedSettings);
     };
   }
 }
 
+// Shows the changes which importing `importedSettings` would make, and lets the user choose
+// whether to merge or replace each section of their settings, before the import is applied.
+export function showImportPreview(importedSettings) {
+  const previewEl = document.querySelector("#import-preview");
+  const sectionsEl = previewEl.querySelector("#import-sections");
+  const sectionTemplate = document.querySelector("#import-section-template").content;
+  const sectionModes = {};
+
+  const getImportedSettings = () =>
+    configFile.applyConfig(Settings.getSettings(), importedSettings, sectionModes);
+
+  const showChanges = () => {
+    const changes = configFile.diffConfig(Settings.getSettings(), getImportedSettings());
+    for (const section of configFile.sections) {
+      const changesEl = sectionsEl.querySelector(`[data-section="${section.name}"] .changes`);
+      const sectionChanges = changes[section.name];
+      changesEl.textContent = sectionChanges.length == 0
+        ? "No changes."
+        : sectionChanges.map(configFile.describeChange).join("\n");
+    }
+  };
+
+  sectionsEl.replaceChildren();
+  for (const section of configFile.sections) {
+    const sectionEl = sectionTemplate.cloneNode(true);
+    sectionEl.querySelector(".import-section").dataset.section = section.name;
+    sectionEl.querySelector(".title").textContent = section.title;
+    for (const inputEl of sectionEl.querySelectorAll("input[type=radio]")) {
+      inputEl.name = `import-mode-${section.name}`;
+      inputEl.checked = inputEl.value == "merge";
+      inputEl.addEventListener("change", () => {
+        sectionModes[section.name] = inputEl.value;
+        showChanges();
+      });
+    }
+    sectionsEl.appendChild(sectionEl);
+  }
+  showChanges();
+  showElement(previewEl, true);
+
+  previewEl.querySelector("#import-apply").onclick = async () => {
+    await Settings.setSettings(getImportedSettings());
+    hideImportPreview();
+    setFormFromSettings(Settings.getSettings());
+    const saveButton = document.querySelector("#save");
+    saveButton.disabled = true;
+    saveButton.textContent = "Saved";
+    alert("Settings have been restored from the backup.");
+  };
+  previewEl.querySelector("#import-cancel").onclick = () => hideImportPreview();
+}
+
+function hideImportPreview() {
+  showElement(document.querySelector("#import-preview"), false);
+  document.querySelector("#upload-backup").value = "";
+}
+
 const testEnv = globalThis.window == null ||
   globalThis.window.location.search.includes("dom_tests=true");
 if (!testEnv) {
@@ -13,6 +13,7 @@ import "../lib/dom_utils.js";
 import "../lib/handler_stack.js";
 import * as UIComponentMessenger from "./ui_component_messenger.js";
 import * as userSearchEngines from "../background_scripts/user_search_engines.js";
+import * as queryScopes from "../background_scripts/completion/query_scopes.js";
 
 // An instance of VomnibarUI. Exported for use by tests.
 export let ui;
@@ -53,6 +54,83 @@ export async function activate(options) {
   await ui.update();
 }
 
+// Returns which of the types in suggestionActions `completion` is, or null if it has no secondary
+// actions.
+function getSuggestionType(completion) {
+  if (completion.command || completion.isCustomSearch || !completion.url) return null;
+  return completion.description == "tab" ? "tab" : "url";
+}
+
+const urlActions = [
+  {
+    key: "<a-c>",
+    name: "copyUrl",
+    run(ui, completion) {
+      // The host page copies the URL with the HUD, as it does for the other copy commands.
+      ui.hide(() => UIComponentMessenger.postMessage({ name: "copyUrl", url: completion.url }));
+    },
+  },
+  {
+    key: "<a-w>",
+    name: "openInNewWindow",
+    run(ui, completion) {
+      ui.hide(() =>
+        chrome.runtime.sendMessage({ handler: "openUrlInNewWindow", url: completion.url })
+      );
+    },
+  },
+  {
+    key: "<a-i>",
+    name: "openInIncognito",
+    run(ui, completion) {
+      ui.hide(() =>
+        chrome.runtime.sendMessage({ handler: "openUrlInIncognito", url: completion.url })
+      );
+    },
+  },
+  {
+    key: "<a-b>",
+    name: "toggleBookmark",
+    async run(ui, completion) {
+      await chrome.runtime.sendMessage({
+        handler: "toggleBookmark",
+        url: completion.url,
+        title: completion.title,
+      });
+      ui.refreshCompletions();
+      await ui.update();
+    },
+  },
+];
+
+// The actions on the selected suggestion other than opening it, keyed by the type of suggestion
+// they apply to (see getSuggestionType). The user runs an action by typing its key.
+const suggestionActions = {
+  url: urlActions,
+  tab: urlActions.concat([
+    {
+      key: "<a-x>",
+      name: "closeTab",
+      async run(ui, completion) {
+        await chrome.runtime.sendMessage({ handler: "closeSpecificTab", id: completion.tabId });
+        await ui.update();
+      },
+    },
+    {
+      key: "<a-m>",
+      name: "moveTabToCurrentWindow",
+      run(ui, completion) {
+        ui.hide(() =>
+          chrome.runtime.sendMessage({
+            handler: "moveSpecificTabToCurrentWindow",
+            id: completion.tabId,
+          })
+        );
+      },
+    },
+  ]),
+};
+
 class VomnibarUI {
   constructor() {
     this.onKeyEvent = this.onKeyEvent.bind(this);
@@ -63,6 +141,9 @@ class VomnibarUI {
     // The user's custom search engine, if they have prefixed their query with the keyword for one
     // of their search engines.
     this.activeUserSearchEngine = null;
+    // The scope which the user has restricted the omni completer to, if they have prefixed their
+    // query with the scope's prefix. See query_scopes.js.
+    this.activeScope = null;
     // Used for synchronizing requests and responses to the background page.
     this.lastRequestId = null;
   }
@@ -80,15 +161,21 @@ class VomnibarUI {
     this.forceNewTab = forceNewTab;
   }
 
-  // name: one of [omni, bookmarks, commands, tabs].
+  // name: one of [omni, bookmarks, commands, tabs, sessions].
   setCompleterName(name) {
     this.completerName = name;
-    const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
-    const placeholder = (name == "omni") ? "" : capitalize(name);
-    this.input.setAttribute("placeholder", placeholder);
     this.reset();
   }
 
+  // The active scope is shown as the input's placeholder, in the same way as the name of a completer
+  // other than omni.
+  setActiveScope(scope) {
+    this.activeScope = scope;
+    const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+    const completerTitle = (this.completerName == "omni") ? "" : capitalize(this.completerName);
+    this.input.setAttribute("placeholder", scope?.title ?? completerTitle);
+  }
+
   setPrefixCount(prefixCount) {
     this.prefixCount = prefixCount;
   }
@@ -129,6 +216,7 @@ class VomnibarUI {
     this.renderCompletions(this.completions);
     this.previousInputValue = null;
     this.activeUserSearchEngine = null;
+    this.setActiveScope(null);
     this.selection = this.initialSelectionValue;
     this.seenTabToOpenCompletionList = false;
     this.lastRequestId = null;
@@ -189,11 +277,22 @@ class VomnibarUI {
       return "remove";
     } else if (KeyboardUtils.isBackspace(event)) {
       return "delete";
+    } else if (this.getSuggestionAction(event)) {
+      return "suggestion-action";
     }
 
     return null;
   }
 
+  // Returns the action in suggestionActions for the selected suggestion which `event` runs, or null.
+  getSuggestionAction(event) {
+    const completion = this.completions[this.selection];
+    if (completion == null) return null;
+    const key = KeyboardUtils.getKeyCharString(event);
+    const actions = suggestionActions[getSuggestionType(completion)] ?? [];
+    return actions.find((action) => action.key == key) ?? null;
+  }
+
   async onKeyEvent(event) {
     const action = this.actionFromKeyEvent(event);
     if (!action) {
@@ -230,7 +329,7 @@ class VomnibarUI {
       // Populate the vomnibar with the current selection's URL.
       if (
         !this.isUserSearchEngineActive() && this.completerName != "commands" &&
-        (this.selection >= 0)
+        this.activeScope?.name != "commands" && (this.selection >= 0)
       ) {
         if (this.previousInputValue == null) {
           this.previousInputValue = this.input.value;
@@ -248,6 +347,13 @@ class VomnibarUI {
         this.input.selectionStart = this.input.selectionEnd = keyword.length;
         this.activeUserSearchEngine = null;
         this.update();
+      } else if (this.activeScope && (this.input.selectionEnd === 0)) {
+        // Similarly, reinstate the prefix of the active scope (e.g. the "b:" of "b: query terms").
+        const prefix = this.activeScope.prefix;
+        this.input.value = prefix + this.input.value.trimStart();
+        this.input.selectionStart = this.input.selectionEnd = prefix.length;
+        this.setActiveScope(null);
+        this.update();
       } else if (this.seenTabToOpenCompletionList && (this.input.value.trim().length === 0)) {
         this.seenTabToOpenCompletionList = false;
         this.update();
@@ -255,8 +361,19 @@ class VomnibarUI {
         return; // Do not suppress event.
       }
     } else if ((action === "remove") && (this.selection >= 0)) {
+      // Forget that the user has picked this completion before, so that it's no longer ranked higher
+      // because of that.
       const completion = this.completions[this.selection];
-      console.log(completion);
+      if (completion.url) {
+        await chrome.runtime.sendMessage({
+          handler: "forgetVomnibarSelections",
+          url: completion.url,
+        });
+        this.update();
+      }
+    } else if (action === "suggestion-action") {
+      const completion = this.completions[this.selection];
+      await this.getSuggestionAction(event).run(this, completion);
     }
 
     event.stopImmediatePropagation();
@@ -299,8 +416,9 @@ class VomnibarUI {
         return;
       }
 
-      // <Enter> with no selection on a completer other than "omni" is a no-op.
-      if (this.completerName != "omni") return;
+      // <Enter> with no selection on a completer other than "omni", or on a scoped query, is a
+      // no-op.
+      if (this.completerName != "omni" || this.activeScope) return;
 
       const firstCompletion = this.completions[0];
       const isPrimary = isPrimarySearchSuggestion(firstCompletion);
@@ -336,16 +454,36 @@ class VomnibarUI {
         });
       });
     } else {
+      this.recordSelection(completion);
       this.hide(() => this.openCompletion(completion, openInNewTab));
     }
   }
 
+  // Record that the user picked `completion` for the query they typed, so that the background page
+  // can rank it higher the next time they type that query. See SelectionFrecency. Selections aren't
+  // recorded in incognito windows, since they're stored persistently.
+  recordSelection(completion) {
+    if (!completion.url || chrome.extension.inIncognitoContext) return;
+    chrome.runtime.sendMessage({
+      handler: "recordVomnibarSelection",
+      // If the user has moved the selection, then the input contains the selected URL, and the
+      // query they typed is in previousInputValue.
+      query: this.getInputValueAsQuery(this.previousInputValue ?? this.input.value),
+      url: completion.url,
+    });
+  }
+
   // Return the background-page query corresponding to the current input state. In other words,
-  // reinstate any search engine keyword which is currently being suppressed, and strip any prompted
-  // text.
-  getInputValueAsQuery() {
-    const prefix = this.isUserSearchEngineActive() ? this.activeUserSearchEngine.keyword + " " : "";
-    return prefix + this.input.value;
+  // reinstate any search engine keyword or scope prefix which is currently being suppressed, and
+  // strip any prompted text.
+  getInputValueAsQuery(inputValue = this.input.value) {
+    let prefix = "";
+    if (this.isUserSearchEngineActive()) {
+      prefix = this.activeUserSearchEngine.keyword + " ";
+    } else if (this.activeScope) {
+      prefix = this.activeScope.prefix + " ";
+    }
+    return prefix + inputValue;
   }
 
   async updateCompletions() {
@@ -402,10 +540,19 @@ class VomnibarUI {
 
     // For custom search engines, we suppress the leading prefix (e.g. the "w" of "w query terms")
     // within the vomnibar input.
-    if (!this.isUserSearchEngineActive() && this.getUserSearchEngineForQuery() != null) {
+    const isPrefixActive = this.isUserSearchEngineActive() || this.activeScope != null;
+    if (!isPrefixActive && this.getUserSearchEngineForQuery() != null) {
       this.activeUserSearchEngine = this.getUserSearchEngineForQuery();
       const queryTerms = this.input.value.trim().split(/\s+/);
       this.input.value = queryTerms.slice(1).join(" ");
+    } else if (!isPrefixActive && this.completerName == "omni") {
+      // Similarly, we suppress the prefix of a scope (e.g. the "b:" of "b: query terms"), and show
+      // the scope instead.
+      const scope = queryScopes.getScopeForQuery(this.input.value);
+      if (scope) {
+        this.setActiveScope(scope);
+        this.input.value = queryScopes.removeScopePrefix(this.input.value, scope);
+      }
     }
 
     // If the user types, then don't reset any previous text, and reset the selection.
@@ -439,6 +586,8 @@ class VomnibarUI {
   openCompletion(completion, openInNewTab) {
     if (completion.description == "tab") {
       chrome.runtime.sendMessage({ handler: "selectSpecificTab", id: completion.tabId });
+    } else if (completion.sessionId != null) {
+      chrome.runtime.sendMessage({ handler: "restoreSession", sessionId: completion.sessionId });
     } else {
       this.launchUrl(completion.url, openInNewTab);
     }
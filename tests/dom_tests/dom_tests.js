@@ -101,6 +101,228 @@ const createGeneralHintTests = (isFilteredMode) => {
 createGeneralHintTests(false);
 createGeneralHintTests(true);
 
+context("Link hint selectors", () => {
+  setup(() => {
+    initializeModeState();
+    document.getElementById("test-div").innerHTML =
+      '<div class="card">card</div><a class="ad" href="#ad">ad</a><a href="#link">link</a>';
+    stubSettings("hintSelectorRules", [
+      { pattern: "*", include: "div.card", exclude: "a.ad" },
+      { pattern: "https://example.com/*", include: "", exclude: "a" },
+    ]);
+  });
+
+  teardown(() => document.getElementById("test-div").innerHTML = "");
+
+  should("add and skip the elements matching the selectors for this page", () => {
+    const texts = LocalHints.getLocalHints().map((hint) => hint.element.textContent);
+    assert.isTrue(texts.includes("card"));
+    assert.isFalse(texts.includes("ad"));
+    assert.isTrue(texts.includes("link"));
+  });
+});
+
+context("Link hints within closed shadow roots", () => {
+  let shadowRoot;
+
+  setup(() => {
+    initializeModeState();
+    const host = document.createElement("div");
+    document.getElementById("test-div").appendChild(host);
+    shadowRoot = host.attachShadow({ mode: "closed" });
+    shadowRoot.innerHTML = '<a href="#shadow">shadow link</a><iframe id="shadow-frame"></iframe>';
+    // Closed shadow roots can only be reached through chrome.dom.
+    stub(chrome, "dom", {
+      openOrClosedShadowRoot: (element) => element === host ? shadowRoot : null,
+    });
+  });
+
+  teardown(() => document.getElementById("test-div").innerHTML = "");
+
+  should("hint the links within the shadow root", () => {
+    const texts = LocalHints.getLocalHints().map((hint) => hint.element.textContent);
+    assert.isTrue(texts.includes("shadow link"));
+  });
+
+  should("find the frames within the shadow root", () => {
+    const frame = shadowRoot.getElementById("shadow-frame");
+    stub(chrome.runtime, "getFrameId", (element) => element === frame ? 7 : -1);
+    const { childFrameRects } = HintCoordinator.getHintDescriptors({ modeIndex: 0 }, {});
+    assert.equal(["7"], Object.keys(childFrameRects));
+  });
+});
+
+context("Link hints when the page changes", () => {
+  let mode;
+  setup(() => {
+    initializeModeState();
+    stubSettings("filterLinkHints", false);
+    stubSettings("linkHintCharacters", "ab");
+    stub(globalThis, "windowIsFocused", () => true);
+    document.getElementById("test-div").innerHTML =
+      '<a id="one" href="#1">one</a> <a id="two" href="#2">two</a>';
+    mode = activateLinkHintsMode();
+  });
+
+  teardown(() => {
+    HintCoordinator.stopObservingMutations();
+    mode.deactivateMode();
+    document.getElementById("test-div").innerHTML = "";
+  });
+
+  should("add and remove hints without changing the other hints' labels", () => {
+    const getHintString = (id) =>
+      mode.hintMarkers.find((marker) => marker.localHint.element.id === id)?.hintString;
+    const hintString = getHintString("two");
+    document.getElementById("one").remove();
+    document.getElementById("test-div").insertAdjacentHTML("beforeend", '<a id="three">three</a>');
+    HintCoordinator.updateLocalHints();
+    assert.isTrue(getHintString("one") == null);
+    assert.equal(hintString, getHintString("two"));
+    assert.isTrue(getHintString("three") != null);
+    assert.isFalse(getHintString("three").startsWith(hintString));
+  });
+
+  should("update the hints at most once every minUpdateInterval", () => {
+    const delays = [];
+    stub(Utils, "setTimeout", (delay, _func) => delays.push(delay));
+    const records = [{
+      type: "childList",
+      target: document.body,
+      addedNodes: [],
+      removedNodes: [],
+    }];
+    HintCoordinator.stopObservingMutations();
+    HintCoordinator.lastUpdateTime = 0;
+    HintCoordinator.onMutations(records);
+    HintCoordinator.stopObservingMutations();
+    HintCoordinator.lastUpdateTime = Date.now();
+    HintCoordinator.onMutations(records);
+    assert.equal(200, delays[0]);
+    assert.isTrue(delays[1] > 200);
+  });
+});
+
+context("Link hints for text blocks", () => {
+  setup(() => {
+    initializeModeState();
+    stubSettings("filterLinkHints", false);
+    stubSettings("linkHintCharacters", "ab");
+    stub(globalThis, "windowIsFocused", () => true);
+    document.getElementById("test-div").innerHTML = "<p>First paragraph</p>" +
+      "<ul><li><p>Nested</p></li><li>Item<ul><li>Inner</li></ul></li></ul><div>Not a block</div>";
+  });
+
+  teardown(() => {
+    globalThis.getSelection().removeAllRanges();
+    document.getElementById("test-div").innerHTML = "";
+  });
+
+  should("hint the innermost block which each text starts in", () => {
+    const testDiv = document.getElementById("test-div");
+    const texts = LocalHints.getTextBlockHints()
+      .filter((hint) => testDiv.contains(hint.element))
+      .map((hint) => hint.element.firstChild.textContent);
+    assert.equal(["First paragraph", "Nested", "Item", "Inner"], texts);
+  });
+
+  should("enter caret mode at the start of the selected block", () => {
+    const modeIndex = availableModes.indexOf(SELECT_TEXT_BLOCK);
+    HintCoordinator.getHintDescriptors({ modeIndex }, {});
+    HintCoordinator.activateMode({
+      frameIdToHintDescriptors: {},
+      modeIndex,
+      modeOptions: { mode: "caret" },
+      originatingFrameId: frameId,
+    });
+    const paragraph = document.querySelector("#test-div p");
+    const marker = HintCoordinator.linkHintsMode.hintMarkers
+      .find((marker) => marker.localHint.element === paragraph);
+    sendKeyboardEvents(marker.hintString);
+    assert.equal("F", globalThis.getSelection().toString());
+  });
+});
+
+context("Link hints for media", () => {
+  setup(() => {
+    initializeModeState();
+    document.getElementById("test-div").innerHTML = '<div style="position: relative">' +
+      '<video width="40" height="40"></video><div style="position: absolute; inset: 0"></div>' +
+      '</div><img width="40" height="40" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=">';
+  });
+
+  teardown(() => document.getElementById("test-div").innerHTML = "");
+
+  should("hint the media elements matching the mode's selector, even when they're covered", () => {
+    const testDiv = document.getElementById("test-div");
+    const names = (selector) =>
+      LocalHints.getMediaHints(selector)
+        .filter((hint) => testDiv.contains(hint.element))
+        .map((hint) => hint.element.localName);
+    assert.equal(["video"], names(TOGGLE_MEDIA_PLAYBACK.mediaSelector));
+    assert.equal(["video", "img"], names(OPEN_MEDIA_IN_NEW_TAB.mediaSelector));
+  });
+
+  should("hint media elements rather than links when copying their URLs", () => {
+    const testDiv = document.getElementById("test-div");
+    const modeIndex = availableModes.indexOf(COPY_FROM_ELEMENT);
+    const names = (modeOptions) =>
+      HintCoordinator.collectLocalHints({ modeIndex, modeOptions })
+        .filter((hint) => testDiv.contains(hint.element))
+        .map((hint) => hint.element.localName);
+    assert.equal(["video", "img"], names({ what: "src" }));
+    assert.equal([], names({ what: "text" }));
+  });
+});
+
+context("Link hints for form controls", () => {
+  setup(() => {
+    initializeModeState();
+    document.getElementById("test-div").innerHTML = '<input type="checkbox" id="checkbox">' +
+      '<select id="select"><option>a</option><option disabled>b</option><option>c</option></select>' +
+      '<input type="text" id="text" value="some text"><input type="text" disabled>' +
+      '<a href="#">link</a>';
+    stub(HUD, "show", () => {});
+  });
+
+  teardown(() => document.getElementById("test-div").innerHTML = "");
+
+  should("hint the enabled form controls", () => {
+    const testDiv = document.getElementById("test-div");
+    const ids = LocalHints.getFormControlHints()
+      .filter((hint) => testDiv.contains(hint.element))
+      .map((hint) => hint.element.id);
+    assert.equal(["checkbox", "select", "text"], ids);
+  });
+
+  should("toggle checkboxes", () => {
+    const checkbox = document.getElementById("checkbox");
+    activateFormControl(checkbox);
+    assert.isTrue(checkbox.checked);
+    activateFormControl(checkbox);
+    assert.isFalse(checkbox.checked);
+  });
+
+  should("cycle through the enabled options of selects", () => {
+    const select = document.getElementById("select");
+    let changes = 0;
+    select.addEventListener("change", () => changes++);
+    activateFormControl(select);
+    assert.equal("c", select.value);
+    activateFormControl(select);
+    assert.equal("a", select.value);
+    assert.equal(2, changes);
+  });
+
+  should("focus text fields and select their contents", () => {
+    const input = document.getElementById("text");
+    activateFormControl(input);
+    assert.equal(input, document.activeElement);
+    assert.equal([0, "some text".length], [input.selectionStart, input.selectionEnd]);
+    input.blur();
+  });
+});
+
 context("False positives in link-hint", () => {
   setup(() => {
     const testContent = '<span class="buttonWrapper">false positive<a>clickable</a></span>' +
@@ -360,6 +582,116 @@ context("Alphabet link hints", () => {
   });
 });
 
+context("Link hints for multiple links", () => {
+  let mode, copiedText;
+  setup(() => {
+    initializeModeState();
+    stubSettings("filterLinkHints", false);
+    stubSettings("linkHintCharacters", "ab");
+    stub(globalThis, "windowIsFocused", () => true);
+    stub(HUD, "copyToClipboard", (text) => copiedText = text);
+    copiedText = null;
+
+    document.getElementById("test-div").innerHTML =
+      '<a href="#1">one</a> <a href="#2">two</a> <a href="#3">three</a>';
+    const modeIndex = availableModes.indexOf(COPY_MULTIPLE_LINK_URLS);
+    HintCoordinator.getHintDescriptors({ modeIndex }, {});
+    HintCoordinator.activateMode({
+      frameIdToHintDescriptors: {},
+      modeIndex,
+      originatingFrameId: frameId,
+    });
+    mode = HintCoordinator.linkHintsMode;
+  });
+
+  teardown(() => {
+    mode.deactivateMode();
+    document.getElementById("test-div").innerHTML = "";
+  });
+
+  should("act on the range of links between the first and last hints typed", () => {
+    // The hints are "aa", "b" and "ab".
+    sendKeyboardEvents("b");
+    assert.equal(null, copiedText);
+    sendKeyboardEvents("ab");
+    const urls = copiedText.split("\n").map((url) => url.split("#")[1]);
+    assert.equal(["2", "3"], urls);
+  });
+
+  should("act on every matching link when Enter is typed", () => {
+    sendKeyboardEvents("a");
+    sendKeyboardEvent("Enter");
+    const urls = copiedText.split("\n").map((url) => url.split("#")[1]);
+    assert.equal(["1", "3"], urls);
+  });
+
+  should("only open the links which load a page in new tabs", () => {
+    const messages = [];
+    stub(chrome.runtime, "sendMessage", (message) => messages.push(message));
+    const pageUrl = globalThis.location.href.split("#")[0];
+    OPEN_MULTIPLE_IN_NEW_BG_TABS.multipleLinksActivator(
+      ["javascript:void(0)", `${pageUrl}#`, "https://example.com/#top"],
+    );
+    assert.equal([["https://example.com/#top"]], messages.map((message) => message.urls));
+  });
+
+  should("use the URLs of SVG links", () => {
+    document.getElementById("test-div").innerHTML =
+      '<svg width="100" height="20"><a href="#svg"><text x="0" y="15">svg</text></a></svg>';
+    const modeIndex = availableModes.indexOf(COPY_MULTIPLE_LINK_URLS);
+    const { hintDescriptors } = HintCoordinator.getHintDescriptors({ modeIndex }, {});
+    assert.equal([new URL("#svg", document.baseURI).href], hintDescriptors.map((d) => d.url));
+  });
+});
+
+context("Link hints for many links", () => {
+  let confirmed, confirmCount, copiedText;
+  setup(() => {
+    initializeModeState();
+    stubSettings("filterLinkHints", false);
+    stub(globalThis, "windowIsFocused", () => true);
+    stub(globalThis, "confirm", () => {
+      confirmCount++;
+      return confirmed;
+    });
+    stub(HUD, "copyToClipboard", (text) => copiedText = text);
+    confirmCount = 0;
+    copiedText = null;
+
+    const links = [];
+    for (let i = 1; i <= MULTIPLE_LINKS_CONFIRMATION_LIMIT + 1; i++) {
+      links.push(`<a href="#${i}">${i}</a>`);
+    }
+    document.getElementById("test-div").innerHTML = links.join(" ");
+    const modeIndex = availableModes.indexOf(COPY_MULTIPLE_LINK_URLS);
+    HintCoordinator.getHintDescriptors({ modeIndex }, {});
+    HintCoordinator.activateMode({
+      frameIdToHintDescriptors: {},
+      modeIndex,
+      originatingFrameId: frameId,
+    });
+  });
+
+  teardown(() => {
+    HintCoordinator.linkHintsMode?.deactivateMode();
+    document.getElementById("test-div").innerHTML = "";
+  });
+
+  should("not act on more links than the limit if the user cancels", () => {
+    confirmed = false;
+    sendKeyboardEvent("Enter");
+    assert.equal(1, confirmCount);
+    assert.equal(null, copiedText);
+  });
+
+  should("act on more links than the limit once the user confirms", () => {
+    confirmed = true;
+    sendKeyboardEvent("Enter");
+    assert.equal(1, confirmCount);
+    assert.equal(MULTIPLE_LINKS_CONFIRMATION_LIMIT + 1, copiedText.split("\n").length);
+  });
+});
+
 context("Filtered link hints", () => {
   // In all of these tests, the order of the elements returned by getHintMarkerEls() may be
   // different from the order they are listed in the test HTML content. This is because
@@ -779,6 +1111,110 @@ context("Key mapping", () => {
   });
 });
 
+context("Key recorder", () => {
+  let normalMode;
+
+  setup(() => {
+    normalMode = initializeModeState();
+    KeyRecorder.recordingRegister = "a";
+    KeyRecorder.recordedKeys = [];
+  });
+
+  teardown(() => {
+    KeyRecorder.recordingRegister = null;
+    KeyRecorder.recordedKeys = [];
+  });
+
+  should("record the keys of commands, including their counts", () => {
+    sendKeyboardEvent("2");
+    sendKeyboardEvent("m");
+    sendKeyboardEvent("z");
+    assert.equal(["2", "m"], KeyRecorder.recordedKeys.map((k) => k.key));
+    sendKeyboardEvent("p");
+    assert.equal(["2", "m", "z", "p"], KeyRecorder.recordedKeys.map((k) => k.key));
+  });
+
+  should("not record keys which were reset", () => {
+    sendKeyboardEvent("z");
+    sendKeyboardEvent("Escape", "keydown");
+    sendKeyboardEvent("m");
+    assert.equal(["m"], KeyRecorder.recordedKeys.map((k) => k.key));
+  });
+
+  should("replay recorded keys", async () => {
+    sendKeyboardEvent("3");
+    sendKeyboardEvent("m");
+    const keys = KeyRecorder.recordedKeys;
+    KeyRecorder.recordingRegister = null;
+    commandName = commandCount = null;
+    await KeyRecorder.replayKeys(keys, 1, new Set(["a"]));
+    assert.equal("m", commandName);
+    assert.equal(3, commandCount);
+  });
+
+  should("not record keys while replaying", async () => {
+    sendKeyboardEvent("m");
+    await KeyRecorder.replayKeys(KeyRecorder.recordedKeys.slice(), 2, new Set(["b"]));
+    assert.equal(["m"], KeyRecorder.recordedKeys.map((k) => k.key));
+  });
+
+  should("replay each key only once the previous key's command has finished", async () => {
+    sendKeyboardEvent("m");
+    sendKeyboardEvent("m");
+    const keys = KeyRecorder.recordedKeys;
+    KeyRecorder.recordingRegister = null;
+    let commandsRun = 0;
+    let finishCommand;
+    normalMode.setCommandHandler(() => {
+      commandsRun++;
+      return new Promise((resolve) => finishCommand = resolve);
+    });
+    const replay = KeyRecorder.replayKeys(keys, 1, new Set(["a"]));
+    await new Promise((resolve) => Utils.nextTick(resolve));
+    assert.equal(1, commandsRun);
+    finishCommand();
+    await new Promise((resolve) => Utils.nextTick(resolve));
+    assert.equal(2, commandsRun);
+    finishCommand();
+    await replay;
+  });
+
+  should("wait for link hints to collect their hints before replaying the next key", async () => {
+    sendKeyboardEvent("m");
+    sendKeyboardEvent("m");
+    const keys = KeyRecorder.recordedKeys;
+    KeyRecorder.recordingRegister = null;
+    stub(chrome.runtime, "sendMessage", () => {});
+    let commandsRun = 0;
+    normalMode.setCommandHandler(() => {
+      commandsRun++;
+      return HintCoordinator.prepareToActivateMode(OPEN_IN_CURRENT_TAB, () => {});
+    });
+    const replay = KeyRecorder.replayKeys(keys, 1, new Set(["a"]));
+    await new Promise((resolve) => Utils.nextTick(resolve));
+    assert.equal(1, commandsRun);
+    // The hints have been collected.
+    HintCoordinator.cacheAllKeydownEvents.exit();
+    await new Promise((resolve) => Utils.nextTick(resolve));
+    assert.equal(2, commandsRun);
+    HintCoordinator.cacheAllKeydownEvents.exit();
+    await replay;
+  });
+
+  should("record the keys which the user types while a register is being replayed", async () => {
+    sendKeyboardEvent("m");
+    const keys = KeyRecorder.recordedKeys.slice();
+    const finishCommands = [];
+    normalMode.setCommandHandler(() => new Promise((resolve) => finishCommands.push(resolve)));
+    const replay = KeyRecorder.replayKeys(keys, 1, new Set(["b"]));
+    sendKeyboardEvent("z");
+    sendKeyboardEvent("p");
+    assert.equal(["m", "z", "p"], KeyRecorder.recordedKeys.map((k) => k.key));
+    finishCommands.forEach((finishCommand) => finishCommand());
+    await replay;
+  });
+});
+
 context("Normal mode", () => {
   setup(() => initializeModeState());
 
@@ -1342,3 +1778,16 @@ context("GrabBackFocus", () => {
     assert.isTrue(DomUtils.isEditable(document.activeElement));
   });
 });
+
+context("Vomnibar", () => {
+  should("copy a suggestion's URL with the HUD when the Vomnibar page asks", () => {
+    const copied = [];
+    const shown = [];
+    stub(HUD, "copyToClipboard", (text) => copied.push(text));
+    stub(HUD, "show", (text) => shown.push(text));
+    const url = "https://example.com/a/long/path/which/does/not/fit/in/the/hud";
+    Vomnibar.handleUIComponentMessage({ data: { name: "copyUrl", url } });
+    assert.equal([url], copied);
+    assert.equal(["Yanked https://example.com/a/long/path/which/..."], shown);
+  });
+});
@@ -39,6 +39,15 @@ context("command listing", () => {
     assert.equal(allCommands.length, rows.length);
   });
 
+  should("document each option's type", async () => {
+    await commandListing.populatePage();
+    const options = Array.from(globalThis.document.querySelectorAll("#setZoom .options li"))
+      .map((el) => el.textContent);
+    assert.equal([
+      "level (number, at least 0.25 and at most 5): The zoom level. 1.0 is the default.",
+    ], options);
+  });
+
   should("show key mappings for mapped commands", async () => {
     const getKeys = (commandName) => {
       const el = globalThis.document.querySelector(`.command#${commandName}`);
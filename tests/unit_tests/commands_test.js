@@ -11,6 +11,7 @@ import {
 import "../../content_scripts/mode.js";
 import "../../content_scripts/mode_key_handler.js";
 import "../../content_scripts/marks.js";
+import "../../content_scripts/key_recorder.js";
 import "../../content_scripts/link_hints.js";
 import "../../content_scripts/vomnibar.js";
 // Include mode_normal to check that all commands have been implemented.
@@ -107,6 +108,10 @@ context("KeyMappingsParser", () => {
     assert.equal(1, getErrors("map j LinkHints.activateMode unknownOption=a").length);
   });
 
+  should("accept the continuous option on link hint commands", () => {
+    assert.equal(0, getErrors("map j LinkHints.activateModeForFormControls continuous").length);
+  });
+
   should("reject count option on commands with noRepeat=true", () => {
     assert.equal(0, getErrors("map j scrollLeft count=1").length);
     assert.equal(1, getErrors("map j copyCurrentUrl count=1").length);
@@ -117,6 +122,209 @@ context("KeyMappingsParser", () => {
     assert.equal(1, getErrors("map j createTab invalid-url").length);
   });
 
+  context("option schemas", () => {
+    const getOptions = (config) => KeyMappingsParser.parse(config).keyToRegistryEntry["a"].options;
+
+    should("convert option values to their types", () => {
+      assert.equal({ level: 1.5 }, getOptions("map a setZoom level=1.5"));
+      assert.equal({ count: 3 }, getOptions("map a scrollDown count=3"));
+      assert.equal({ hard: true }, getOptions("map a reload hard"));
+      assert.equal({ hard: false }, getOptions("map a reload hard=false"));
+      assert.equal({ position: "end" }, getOptions("map a createTab position=end"));
+    });
+
+    should("reject option values which don't match their types", () => {
+      assert.equal(1, getErrors("map a setZoom level=big").length);
+      assert.equal(1, getErrors("map a setZoom level=10").length);
+      assert.equal(1, getErrors("map a scrollDown count=1.5").length);
+      assert.equal(1, getErrors("map a scrollDown count=0").length);
+      assert.equal(1, getErrors("map a reload hard=yes").length);
+      assert.equal(1, getErrors("map a createTab position=middle").length);
+      // String options require a value.
+      assert.equal(1, getErrors("map a Vomnibar.activate query").length);
+    });
+
+    should("have a valid schema for every option of every command", () => {
+      const types = ["boolean", "integer", "number", "string", "enum", "url"];
+      for (const command of allCommands) {
+        for (const option of Object.values(command.options || {})) {
+          assert.isTrue(types.includes(option.type));
+          assert.isTrue(option.desc.length > 0);
+          if (option.type == "enum") assert.isTrue(option.values.length > 0);
+        }
+      }
+    });
+  });
+
+  context("diagnostics", () => {
+    const getWarnings = (config) =>
+      KeyMappingsParser.parse(config, false, Commands.getDefaultKeyConfig()).warnings
+        .map((w) => `${w.lineNumber}:${w.column}`);
+
+    should("report the line and column of errors", () => {
+      const config = "map a scrollDown\n\n  map b scrollUp foo";
+      assert.equal(
+        [{ lineNumber: 3, column: 18, message: "Command scrollUp does not support option foo" }],
+        getErrors(config),
+      );
+    });
+
+    should("count joined lines from their first line", () => {
+      const config = "map a \\\nscrollDown\nmap b unknownCommand";
+      assert.equal([3], getErrors(config).map((e) => e.lineNumber));
+    });
+
+    should("warn about keys which are mapped more than once", () => {
+      assert.equal(["2:5"], getWarnings("map a scrollDown\nmap a scrollUp"));
+      assert.equal(["2:5"], getWarnings("map <c-a> scrollDown\nmap <C-a> scrollUp"));
+      // Overriding a default mapping is fine.
+      assert.equal([], getWarnings("map j scrollUp"));
+      // As is overriding a global mapping within a site block.
+      assert.equal([], getWarnings("map a scrollDown\nsite a* {\nmap a scrollUp\n}"));
+    });
+
+    should("warn about mappings which can't be typed because of a shorter mapping", () => {
+      assert.equal(["2:5"], getWarnings("map a scrollDown\nmap ab scrollUp"));
+      assert.equal(["1:5"], getWarnings("map ab scrollUp\nmap a scrollDown"));
+      // "g" conflicts with default mappings like "gg".
+      assert.equal(["1:5"], getWarnings("map g scrollDown"));
+    });
+
+    should("warn about unknown key names", () => {
+      assert.equal([], getWarnings("map <c-left> scrollDown\nmap <f12> scrollUp"));
+      assert.equal(["1:5"], getWarnings("map <c-lfet> scrollDown"));
+    });
+  });
+
+  context("macros", () => {
+    should("map keys to macros", () => {
+      const input = "macro tidy closeTabsOnRight; reload hard\nmap X tidy count=2";
+      const entry = KeyMappingsParser.parse(input).keyToRegistryEntry["X"];
+      assert.equal("tidy", entry.command);
+      assert.equal({ count: 2 }, entry.options);
+      assert.equal(["closeTabsOnRight", "reload"], entry.macro.map((step) => step.command));
+      assert.equal({ hard: true }, entry.macro[1].options);
+      assert.isTrue(entry.macro[1].background);
+    });
+
+    should("be dot-repeatable if any of their commands are", () => {
+      const input = "macro a scrollDown; reload\nmacro b scrollDown; scrollUp\nmap X a\nmap Y b";
+      const { keyToRegistryEntry } = KeyMappingsParser.parse(input);
+      assert.isTrue(keyToRegistryEntry["X"].dotRepeatable);
+      assert.isFalse(keyToRegistryEntry["Y"].dotRepeatable);
+    });
+
+    should("not split commands on semicolons within quoted option values", () => {
+      const input = 'macro m Vomnibar.activate query="a;b"; scrollDown\nmap X m';
+      const entry = KeyMappingsParser.parse(input).keyToRegistryEntry["X"];
+      assert.equal({ query: "a;b" }, entry.macro[0].options);
+      assert.equal("scrollDown", entry.macro[1].command);
+    });
+
+    should("return parsing validation errors", () => {
+      assert.equal(0, getErrors("macro m scrollDown; scrollUp\nmap X m").length);
+      // Macros must be defined before they're mapped.
+      assert.equal(1, getErrors("map X m\nmacro m scrollDown").length);
+      // Macros require a name and at least one command.
+      assert.equal(1, getErrors("macro m").length);
+      // Macros can't be named after commands.
+      assert.equal(1, getErrors("macro scrollUp scrollDown").length);
+      // Every command must be valid.
+      assert.equal(1, getErrors("macro m scrollDown; unknownCommand").length);
+      assert.equal(1, getErrors("macro m scrollDown unknownOption").length);
+      // Mapped macros only accept the count option.
+      assert.equal(1, getErrors("macro m scrollDown\nmap X m hard").length);
+    });
+  });
+
+  context("site blocks", () => {
+    const config = [
+      "map a scrollDown",
+      "map b scrollUp",
+      "site https://*.github.com/* {",
+      "  map a goPrevious",
+      "  unmap b",
+      "}",
+    ].join("\n");
+
+    should("apply the block's statements on top of the global mappings", () => {
+      const { keyToRegistryEntry, siteKeyMappings } = KeyMappingsParser.parse(config);
+      assert.equal(["a", "b"], Object.keys(keyToRegistryEntry).sort());
+      assert.equal("scrollDown", keyToRegistryEntry["a"].command);
+      assert.equal(1, siteKeyMappings.length);
+      assert.equal("https://*.github.com/*", siteKeyMappings[0].pattern);
+      const siteMappings = siteKeyMappings[0].keyToRegistryEntry;
+      assert.equal(["a"], Object.keys(siteMappings));
+      assert.equal("goPrevious", siteMappings["a"].command);
+    });
+
+    should("apply global statements which follow the block to the site mappings", () => {
+      const { siteKeyMappings } = KeyMappingsParser.parse(config + "\nmap c scrollLeft");
+      assert.equal("scrollLeft", siteKeyMappings[0].keyToRegistryEntry["c"]?.command);
+    });
+
+    should("parse a block with a single statement on one line", () => {
+      const input = "site a* { map a scrollUp }\nsite b* {  map a scrollDown  }";
+      const { siteKeyMappings } = KeyMappingsParser.parse(input);
+      assert.equal(["a*", "b*"], siteKeyMappings.map((block) => block.pattern));
+      assert.equal("scrollUp", siteKeyMappings[0].keyToRegistryEntry["a"].command);
+      assert.equal("scrollDown", siteKeyMappings[1].keyToRegistryEntry["a"].command);
+      // Errors in the statement are reported at its column in the line.
+      const errors = getErrors("site a* {  map a unknownCommand }");
+      assert.equal([[1, 18]], errors.map((error) => [error.lineNumber, error.column]));
+    });
+
+    should("merge blocks with the same pattern", () => {
+      const input = "site a* {\nmap a scrollUp\n}\nsite a* {\nmap b scrollUp\n}";
+      const { siteKeyMappings } = KeyMappingsParser.parse(input);
+      assert.equal(1, siteKeyMappings.length);
+      assert.equal(["a", "b"], Object.keys(siteKeyMappings[0].keyToRegistryEntry).sort());
+    });
+
+    should("return parsing validation errors", () => {
+      assert.equal(0, getErrors(config).length);
+      // Missing the opening brace.
+      assert.equal(1, getErrors("site a*\nmap a scrollUp").length);
+      // Missing the closing brace.
+      assert.equal(1, getErrors("site a* {\nmap a scrollUp").length);
+      assert.equal(1, getErrors("site a* { map a scrollUp").length);
+      // Nested blocks.
+      assert.equal(1, getErrors("site a* {\nsite b* {\n}").length);
+      // mapkey is only allowed globally.
+      assert.equal(1, getErrors("site a* {\nmapkey a b\n}").length);
+      // Errors within a block are reported.
+      assert.equal(1, getErrors("site a* {\nmap a unknownCommand\n}").length);
+      // Invalid URL patterns.
+      assert.equal(1, getErrors("site a(* {\nmap a scrollUp\n}").length);
+    });
+  });
+
+  context("appended config", () => {
+    should("apply the appended statements after the config", () => {
+      const { keyToRegistryEntry } = KeyMappingsParser.parse(
+        "map a scrollDown\nmap b scrollDown",
+        false,
+        "",
+        "map a scrollUp",
+      );
+      assert.equal("scrollUp", keyToRegistryEntry["a"].command);
+      assert.equal("scrollDown", keyToRegistryEntry["b"].command);
+    });
+
+    should("not let the config's unclosed site block or line continuation run on into it", () => {
+      for (const config of ["site a* {\nmap a scrollDown", "map a scrollDown \\"]) {
+        const { keyToRegistryEntry, validationErrors } = KeyMappingsParser.parse(
+          config,
+          false,
+          "",
+          "map b scrollUp",
+        );
+        assert.equal("scrollUp", keyToRegistryEntry["b"]?.command);
+        assert.isTrue(validationErrors.every((error) => error.lineNumber == 1));
+      }
+    });
+  });
+
   context("parseLines", () => {
     should("omit whitespace", () => {
       assert.equal(0, parseLines("    \n    \n   ").length);
@@ -11,10 +11,13 @@ import {
   HistoryCache,
   HistoryCompleter,
   MultiCompleter,
+  OtherDevicesCompleter,
+  RecentlyClosedCompleter,
   SearchEngineCompleter,
   Suggestion,
   TabCompleter,
 } from "../../../background_scripts/completion/completers.js";
+import { SelectionFrecency } from "../../../background_scripts/completion/selection_frecency.js";
 import * as ranking from "../../../background_scripts/completion/ranking.js";
 import { RegexpCache } from "../../../background_scripts/completion/ranking.js";
 import "../../../lib/url_utils.js";
@@ -367,6 +370,57 @@ context("multi completer", () => {
     assert.equal("http://example.com", results[0].url);
     assert.equal("http://other.com", results[1].url);
   });
+
+  should("rank suggestions higher when the user has picked them for the query before", async () => {
+    const make = (url, relevancy) => new Suggestion({ url, relevancy, html: url });
+    const fakeCompleter = {
+      filter: () => [make("http://example.com", 0.5), make("http://example.org", 0.4)],
+    };
+    await chrome.storage.local.remove(SelectionFrecency.storageKey);
+    await SelectionFrecency.recordSelection("example", "http://example.org");
+    const results = await filterCompleter(new MultiCompleter([fakeCompleter]), ["exam"]);
+    await chrome.storage.local.remove(SelectionFrecency.storageKey);
+    assert.equal(["http://example.org", "http://example.com"], results.map((s) => s.url));
+  });
+
+  should("boost scoped queries by the selections for the query with its prefix", async () => {
+    const make = (url, relevancy) => new Suggestion({ url, relevancy, html: url });
+    const bookmarkCompleter = {
+      filter: () => [make("http://example.com", 0.5), make("http://example.org", 0.4)],
+    };
+    const completer = new MultiCompleter([], { bookmarks: bookmarkCompleter });
+    await chrome.storage.local.remove(SelectionFrecency.storageKey);
+    await SelectionFrecency.recordSelection("b: example", "http://example.org");
+    const results = await filterCompleter(completer, ["b:", "exam"]);
+    await chrome.storage.local.remove(SelectionFrecency.storageKey);
+    assert.equal(["http://example.org", "http://example.com"], results.map((s) => s.url));
+  });
+
+  should("use only a scope's completer when the query begins with the scope's prefix", async () => {
+    const make = (url) => new Suggestion({ url, relevancy: 1, html: url });
+    let bookmarkQueryTerms = null;
+    const bookmarkCompleter = {
+      filter: ({ queryTerms }) => {
+        bookmarkQueryTerms = queryTerms;
+        return [make("http://bookmark.com")];
+      },
+    };
+    const otherCompleter = { filter: () => [make("http://other.com")] };
+    const completer = new MultiCompleter([bookmarkCompleter, otherCompleter], {
+      bookmarks: bookmarkCompleter,
+    });
+    const results = await filterCompleter(completer, ["b:", "example"]);
+    assert.equal(["http://bookmark.com"], results.map((s) => s.url));
+    assert.equal(["example"], bookmarkQueryTerms);
+  });
+
+  should("list the open tabs when the query is only the prefix of the tabs scope", async () => {
+    // This is used for the tabs' favicons.
+    stub(chrome.runtime, "getURL", (path) => "chrome-extension://vimium" + path);
+    const completer = new MultiCompleter([new DomainCompleter()], { tabs: tabCompleter });
+    const results = await filterCompleter(completer, ["t:"]);
+    assert.equal(["tab1.com"], results.map((s) => s.url));
+  });
 });
 
 context("command completer", () => {
@@ -438,6 +492,108 @@ context("tab completer", () => {
   });
 });
 
+// chrome.sessions timestamps are in seconds.
+const secondsAgo = (seconds) => Math.floor(Date.now() / 1000) - seconds;
+
+context("recently closed completer", () => {
+  const sessions = [
+    { lastModified: secondsAgo(60), tab: { url: "closed.com", title: "closed", sessionId: "1" } },
+    {
+      lastModified: secondsAgo(3600),
+      window: {
+        sessionId: "2",
+        tabs: [{ url: "first.com", title: "first" }, { url: "second.com", title: "second" }],
+      },
+    },
+  ];
+
+  setup(() => {
+    stub(chrome.sessions, "getRecentlyClosed", () => Promise.resolve(sessions));
+  });
+
+  should("return closed tabs and windows by recency when the query is empty", async () => {
+    const results = await filterCompleter(new RecentlyClosedCompleter(), []);
+    assert.equal(["closed.com", "first.com"], results.map((s) => s.url));
+    assert.equal(["1", "2"], results.map((s) => s.sessionId));
+    assert.equal("2 tabs: first, second", results[1].title);
+  });
+
+  should("rank sessions which are over a month old by recency", async () => {
+    const day = 60 * 60 * 24;
+    stub(chrome.sessions, "getRecentlyClosed", () =>
+      Promise.resolve([
+        { lastModified: secondsAgo(60 * day), tab: { url: "a.com", title: "a", sessionId: "a" } },
+        { lastModified: secondsAgo(40 * day), tab: { url: "b.com", title: "b", sessionId: "b" } },
+        { lastModified: secondsAgo(90 * day), tab: { url: "c.com", title: "c", sessionId: "c" } },
+      ]));
+    const completer = new MultiCompleter([new RecentlyClosedCompleter()]);
+    const results = await filterCompleter(completer, []);
+    assert.equal(["b", "a", "c"], results.map((s) => s.sessionId));
+  });
+
+  should("match a closed window by any of its tabs", async () => {
+    const results = await filterCompleter(new RecentlyClosedCompleter(), ["second.com"]);
+    assert.equal(["2"], results.map((s) => s.sessionId));
+  });
+
+  should("be listed by a multi completer when the query is empty", async () => {
+    const completer = new MultiCompleter([new RecentlyClosedCompleter()]);
+    assert.equal(2, (await filterCompleter(completer, [])).length);
+  });
+});
+
+context("other devices completer", () => {
+  should("return the tabs from other devices, most recent first", async () => {
+    stub(chrome.sessions, "getDevices", () =>
+      Promise.resolve([
+        {
+          deviceName: "Laptop",
+          sessions: [{
+            lastModified: secondsAgo(3600),
+            window: { tabs: [{ url: "a.com", title: "a", sessionId: "a" }] },
+          }],
+        },
+        {
+          deviceName: "Phone",
+          sessions: [{
+            lastModified: secondsAgo(60),
+            tab: { url: "b.com", title: "b", sessionId: "b" },
+          }],
+        },
+      ]));
+    const results = await filterCompleter(new OtherDevicesCompleter(), []);
+    assert.equal(["b", "a"], results.map((s) => s.sessionId));
+    assert.equal(["Phone", "Laptop"], results.map((s) => s.description));
+  });
+
+  should("be ranked by recency with the recently closed tabs when the query is empty", async () => {
+    stub(chrome.sessions, "getRecentlyClosed", () =>
+      Promise.resolve([
+        { lastModified: secondsAgo(3600), tab: { url: "a.com", title: "a", sessionId: "a" } },
+        { lastModified: secondsAgo(7200), tab: { url: "c.com", title: "c", sessionId: "c" } },
+      ]));
+    stub(chrome.sessions, "getDevices", () =>
+      Promise.resolve([{
+        deviceName: "Phone",
+        sessions: [{
+          lastModified: secondsAgo(60),
+          tab: { url: "b.com", title: "b", sessionId: "b" },
+        }],
+      }]));
+    const completer = new MultiCompleter([
+      new RecentlyClosedCompleter(),
+      new OtherDevicesCompleter(),
+    ]);
+    const results = await filterCompleter(completer, []);
+    assert.equal(["b", "a", "c"], results.map((s) => s.sessionId));
+  });
+
+  should("return nothing when the browser can't list other devices", async () => {
+    stub(chrome.sessions, "getDevices", undefined);
+    assert.equal([], await filterCompleter(new OtherDevicesCompleter(), []));
+  });
+});
+
 context("SearchEngineCompleter", () => {
   const googleSearchUrl = "http://www.google.com/search?q=";
   let completer;
@@ -503,6 +659,32 @@ context("suggestions", () => {
     assert.isTrue(suggestion.generateHtml({}).indexOf(expected) >= 0);
   });
 
+  should("highlight the characters of query words which match fuzzily", () => {
+    const suggestion = new Suggestion({
+      queryTerms: ["gthb"],
+      description: "tab",
+      url: "url",
+      title: "github",
+      relevancyFunction: returns(1),
+    });
+    const expected = "<span class='match'>g</span>i<span class='match'>th</span>u" +
+      "<span class='match'>b</span>";
+    assert.isTrue(suggestion.generateHtml({}).indexOf(expected) >= 0);
+  });
+
+  should("not highlight matches inside HTML entities", () => {
+    const make = (queryTerms, title) =>
+      new Suggestion({ queryTerms, description: "tab", url: "url", title, relevancy: 1 });
+    // "&amp;" is one character of the title's text, so "mp" matches neither exactly nor fuzzily.
+    let html = make(["mp"], "Tom &amp; Jerry").generateHtml({});
+    assert.isTrue(html.indexOf("Tom &amp; Jerry") >= 0);
+    // An escaped "<" is highlighted as a whole.
+    html = make(["<t"], "a < b < tag").generateHtml({});
+    assert.isTrue(
+      html.indexOf("a &lt; b <span class='match'>&lt;</span> <span class='match'>t</span>ag") >= 0,
+    );
+  });
+
   should("shorten urls", () => {
     const suggestion = new Suggestion({
       queryTerms: ["queryterm"],
@@ -118,6 +118,50 @@ context("matches", () => {
   });
 });
 
+context("fuzzyMatch", () => {
+  should("match the characters of a term in order", () => {
+    const match = ranking.fuzzyMatch("gthbiss", "github issues");
+    assert.equal([0, 2, 3, 5, 7, 8, 9], match.positions);
+    assert.isTrue(0 < match.quality && match.quality <= 1);
+  });
+
+  should("not match characters out of order", () => {
+    assert.equal(null, ranking.fuzzyMatch("hg", "github"));
+  });
+
+  should("do a smartcase match", () => {
+    assert.isTrue(ranking.fuzzyMatch("gh", "GitHub") != null);
+    assert.equal(null, ranking.fuzzyMatch("GH", "github"));
+  });
+
+  should("score matches at the start of words and camelCase boundaries higher", () => {
+    const highScore = ranking.fuzzyMatch("gh", "GitHub").quality;
+    const lowScore = ranking.fuzzyMatch("gh", "eighth").quality;
+    assert.isTrue(highScore > lowScore);
+  });
+
+  should("score consecutive characters higher", () => {
+    const highScore = ranking.fuzzyMatch("abc", "xabcx").quality;
+    const lowScore = ranking.fuzzyMatch("abc", "xaxbxc").quality;
+    assert.isTrue(highScore > lowScore);
+  });
+
+  should("use the shortest match", () => {
+    assert.equal([4, 5], ranking.fuzzyMatch("ab", "a---ab").positions);
+  });
+
+  should("not match when the gaps outweigh the matched characters", () => {
+    assert.equal(null, ranking.fuzzyMatch("ab", "xa" + "-".repeat(40) + "bx"));
+  });
+
+  should("be used by matches and wordRelevancy", () => {
+    assert.isTrue(ranking.matches(["gthbiss"], "https://github.com/issues", "GitHub Issues"));
+    const fuzzyScore = ranking.wordRelevancy(["gthbiss"], "a-url", "GitHub Issues");
+    const substringScore = ranking.wordRelevancy(["issues"], "a-url", "GitHub Issues");
+    assert.isTrue(0 < fuzzyScore && fuzzyScore < substringScore);
+  });
+});
+
 context("RegexpCache", () => {
   should("RegexpCache is in fact caching (positive case)", () => {
     assert.isTrue(RegexpCache.get("this") === RegexpCache.get("this"));
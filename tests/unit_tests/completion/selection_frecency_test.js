@@ -0,0 +1,59 @@
+import "../test_helper.js";
+import { SelectionFrecency } from "../../../background_scripts/completion/selection_frecency.js";
+
+context("SelectionFrecency", () => {
+  let now;
+
+  setup(async () => {
+    now = 1000000;
+    stub(Date, "now", () => now);
+    await chrome.storage.local.remove(SelectionFrecency.storageKey);
+  });
+
+  should("boost URLs picked for the query, or for a query which begins with it", async () => {
+    await SelectionFrecency.recordSelection("Git  Hub", "https://github.com");
+    assert.equal(
+      ["https://github.com"],
+      Array.from((await SelectionFrecency.getBoosts("git hub")).keys()),
+    );
+    assert.equal(
+      ["https://github.com"],
+      Array.from((await SelectionFrecency.getBoosts("gi")).keys()),
+    );
+    assert.equal(0, (await SelectionFrecency.getBoosts("hub")).size);
+    assert.equal(0, (await SelectionFrecency.getBoosts("")).size);
+  });
+
+  should("boost URLs more the more often they're picked", async () => {
+    await SelectionFrecency.recordSelection("git", "https://github.com");
+    const boost = (await SelectionFrecency.getBoosts("git")).get("https://github.com");
+    await SelectionFrecency.recordSelection("git", "https://github.com");
+    const secondBoost = (await SelectionFrecency.getBoosts("git")).get("https://github.com");
+    assert.isTrue(boost > 0);
+    assert.isTrue(secondBoost > boost);
+    assert.isTrue(secondBoost < 1);
+  });
+
+  should("decay scores over time, and drop those which have decayed away", async () => {
+    await SelectionFrecency.recordSelection("git", "https://github.com");
+    now += SelectionFrecency.halfLife;
+    const selections = await SelectionFrecency.getSelections();
+    assert.equal(0.5, SelectionFrecency.decayedScore(selections["git"]["https://github.com"], now));
+
+    now += 10 * SelectionFrecency.halfLife;
+    await SelectionFrecency.recordSelection("gitlab", "https://gitlab.com");
+    assert.equal(["gitlab"], Object.keys(await SelectionFrecency.getSelections()));
+  });
+
+  should("forget every selection of a URL", async () => {
+    await SelectionFrecency.recordSelection("git", "https://github.com");
+    await SelectionFrecency.recordSelection("git", "https://gitlab.com");
+    await SelectionFrecency.recordSelection("hub", "https://github.com");
+    await SelectionFrecency.forgetUrl("https://github.com");
+    assert.equal(
+      ["https://gitlab.com"],
+      Array.from((await SelectionFrecency.getBoosts("git")).keys()),
+    );
+    assert.equal(0, (await SelectionFrecency.getBoosts("hub")).size);
+  });
+});
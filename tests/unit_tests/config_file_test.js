@@ -0,0 +1,101 @@
+import "./test_helper.js";
+import "../../lib/settings.js";
+import * as configFile from "../../pages/config_file.js";
+
+context("config file", () => {
+  setup(async () => {
+    await Settings.load();
+  });
+
+  teardown(async () => {
+    await Settings.clear();
+  });
+
+  should("round trip the settings through export and import", () => {
+    const settings = Settings.getSettings();
+    settings.keyMappings = "map a scrollUp";
+    settings.hideHud = true;
+    const imported = configFile.parseConfig(configFile.exportConfig(settings));
+    assert.equal({ hideHud: true, keyMappings: "map a scrollUp" }, imported);
+  });
+
+  should("import backups from before the format was versioned", () => {
+    const backup = { settingsVersion: "2.4.1", keyMappings: "map a scrollUp" };
+    const imported = configFile.parseConfig(JSON.stringify(backup));
+    assert.equal({ keyMappings: "map a scrollUp" }, imported);
+  });
+
+  should("migrate settings from older versions of Vimium", () => {
+    const backup = { settingsVersion: "2.3", newTabUrl: "http://example.com" };
+    const imported = configFile.parseConfig(JSON.stringify(backup));
+    assert.equal(
+      { newTabDestination: "customUrl", newTabCustomUrl: "http://example.com" },
+      imported,
+    );
+  });
+
+  should("drop settings which Vimium doesn't know of", () => {
+    const config = { formatVersion: 1, settings: { unknownSetting: 1, hideHud: true } };
+    assert.equal({ hideHud: true }, configFile.parseConfig(JSON.stringify(config)));
+  });
+
+  should("reject files which aren't configurations", () => {
+    assert.throwsError(() => configFile.parseConfig("not json"));
+    assert.throwsError(() => configFile.parseConfig("[1, 2]"));
+    assert.throwsError(() => configFile.parseConfig(JSON.stringify({ formatVersion: 1000 })));
+  });
+
+  context("applyConfig", () => {
+    const current = () =>
+      Object.assign(Settings.getSettings(), {
+        keyMappings: "map a scrollUp",
+        exclusionRules: [{ pattern: "a*", passKeys: "" }, { pattern: "b*", passKeys: "" }],
+        linkHintCharacters: "abc",
+      });
+
+    should("merge sections by default", () => {
+      const imported = {
+        keyMappings: "map b scrollDown",
+        exclusionRules: [{ pattern: "b*", passKeys: "j" }],
+      };
+      const settings = configFile.applyConfig(current(), imported, {});
+      assert.equal("map a scrollUp\nmap b scrollDown", settings.keyMappings);
+      assert.equal(
+        [{ pattern: "a*", passKeys: "" }, { pattern: "b*", passKeys: "j" }],
+        settings.exclusionRules,
+      );
+      assert.equal("abc", settings.linkHintCharacters);
+    });
+
+    should("not merge key mappings which are already present", () => {
+      const settings = configFile.applyConfig(current(), { keyMappings: "map a scrollUp" }, {});
+      assert.equal("map a scrollUp", settings.keyMappings);
+    });
+
+    should("reset settings missing from a replaced section to their defaults", () => {
+      const settings = configFile.applyConfig(current(), { linkHintNumbers: "123" }, {
+        linkHints: "replace",
+      });
+      assert.equal("123", settings.linkHintNumbers);
+      assert.equal(Settings.defaultOptions.linkHintCharacters, settings.linkHintCharacters);
+    });
+
+    should("skip sections", () => {
+      const imported = { keyMappings: "map b scrollDown" };
+      const settings = configFile.applyConfig(current(), imported, { keyMappings: "skip" });
+      assert.equal("map a scrollUp", settings.keyMappings);
+    });
+
+    should("reject unknown section modes", () => {
+      assert.throwsError(() => configFile.applyConfig(current(), {}, { keyMappings: "overwrite" }));
+    });
+  });
+
+  should("diff settings by section", () => {
+    const before = Settings.getSettings();
+    const after = Object.assign(Settings.getSettings(), { hideHud: true });
+    const diff = configFile.diffConfig(before, after);
+    assert.equal([], diff.keyMappings);
+    assert.equal([{ key: "hideHud", before: false, after: true }], diff.other);
+  });
+});
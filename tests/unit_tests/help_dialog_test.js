@@ -36,6 +36,13 @@ context("help dialog", () => {
     assert.equal(["reload", "hard", ["b", "c"]], [rows[1][0].name, rows[1][1], rows[1][2]]);
   });
 
+  should("describe a row's options when hovering over it", () => {
+    const reload = allCommands.find((command) => command.name == "reload");
+    const el = HelpDialogPage.getRowEl(reload, "hard", ["b"]);
+    const title = el.querySelector(".help-description").title;
+    assert.isTrue(title.includes(`hard (flag): ${reload.options.hard.desc}`));
+  });
+
   should("have a section in the help dialog for every group", async () => {
     // This test is to prevent code editing errors, where a command is added but doesn't have a
     // corresponding group in the help dialog.
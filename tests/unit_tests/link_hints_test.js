@@ -27,3 +27,206 @@ context("With insufficient link characters", () => {
     assert.throwsError(() => new FilterHints(), "Error");
   });
 });
+
+context("getTextToCopy", () => {
+  const link = {
+    textContent: " The [best] link\n",
+    href: "https://example.com/a_(b)",
+    outerHTML: '<a href="https://example.com/a_(b)">The [best] link</a>',
+    getAttribute: (name) => name == "title" ? "A title" : null,
+  };
+
+  should("copy the element's text by default", () => {
+    assert.equal("The [best] link", getTextToCopy(link, {}));
+  });
+
+  should("copy a Markdown link", () => {
+    assert.equal(
+      "[The \\[best\\] link](https://example.com/a_%28b%29)",
+      getTextToCopy(link, { what: "markdown" }),
+    );
+  });
+
+  should("copy an attribute in preference to `what`", () => {
+    assert.equal("A title", getTextToCopy(link, { what: "href", attribute: "title" }));
+    assert.equal(null, getTextToCopy(link, { attribute: "data-id" }));
+  });
+
+  should("copy the resolved href of an SVG link", () => {
+    const svgLink = {
+      textContent: "SVG link",
+      href: { baseVal: "/a_(b)", animVal: "/a_(b)" },
+      baseURI: "https://example.com/page",
+    };
+    assert.equal("https://example.com/a_(b)", getTextToCopy(svgLink, { what: "href" }));
+    assert.equal(
+      "[SVG link](https://example.com/a_%28b%29)",
+      getTextToCopy(svgLink, { what: "markdown" }),
+    );
+  });
+
+  should("copy the src of an image", () => {
+    const image = { textContent: "", src: "https://example.com/image.png" };
+    assert.equal("https://example.com/image.png", getTextToCopy(image, { what: "src" }));
+  });
+});
+
+context("getMediaUrl", () => {
+  should("prefer the source which the media element is playing", () => {
+    const video = { currentSrc: "https://example.com/video.webm", src: "" };
+    assert.equal("https://example.com/video.webm", getMediaUrl(video));
+    assert.equal(null, getMediaUrl({ currentSrc: "", src: "" }));
+  });
+
+  should("return a data URL for a canvas, unless the canvas is tainted", () => {
+    const canvas = { localName: "canvas", toDataURL: () => "data:image/png;base64,AA==" };
+    assert.equal("data:image/png;base64,AA==", getMediaUrl(canvas));
+    canvas.toDataURL = () => {
+      throw new Error("The canvas has been tainted by cross-origin data.");
+    };
+    assert.equal(null, getMediaUrl(canvas));
+  });
+});
+
+context("AlphabetHints.getUnusedHintStrings", () => {
+  let alphabetHints;
+
+  setup(async () => {
+    await Settings.onLoaded();
+    await Settings.set("linkHintCharacters", "ab");
+    alphabetHints = new AlphabetHints();
+  });
+
+  teardown(async () => {
+    await Settings.clear();
+  });
+
+  should("return hint strings which don't conflict with the used ones, and keep one spare", () => {
+    assert.equal(["bba"], alphabetHints.getUnusedHintStrings(["aa", "ab", "ba"], 1));
+    assert.equal(["bbb", "bbaa"], alphabetHints.getUnusedHintStrings(["aa", "ab", "ba"], 2));
+    assert.equal(["ba", "aa"], alphabetHints.getUnusedHintStrings(["bb"], 2));
+  });
+
+  should("keep hint strings short when many markers are added", async () => {
+    await Settings.set("linkHintCharacters", Settings.defaultOptions.linkHintCharacters);
+    alphabetHints = new AlphabetHints();
+    const createMarker = (hintString) => ({ hintString, isLocalMarker: () => false });
+    const hintMarkers = Array.from("sadfjklewc", createMarker);
+    const newMarkers = Array.from({ length: 60 }, () => createMarker(null));
+    const added = alphabetHints.addMarkers(hintMarkers, newMarkers);
+    assert.equal(60, added.length);
+    assert.equal(3, Math.max(...added.map((marker) => marker.hintString.length)));
+  });
+
+  should("return no hint strings when every hint string is used", () => {
+    assert.equal([], alphabetHints.getUnusedHintStrings(["aa", "b", "ab"], 1));
+  });
+});
+
+// The background page's main.js also exports a HintCoordinator to globalThis, for its own tests.
+const contentHintCoordinator = HintCoordinator;
+
+context("Continuous link hints", () => {
+  let activations, onExit;
+
+  setup(() => {
+    activations = 0;
+    stub(contentHintCoordinator, "prepareToActivateMode", (_mode, callback) => {
+      activations++;
+      onExit = callback;
+    });
+    stub(Utils, "nextTick", (func) => func());
+  });
+
+  should("show the hints again after each link is chosen, until hints are cancelled", () => {
+    LinkHints.activateMode(1, { registryEntry: { options: { continuous: true } } });
+    onExit(true);
+    onExit(true);
+    assert.equal(3, activations);
+    onExit(false);
+    assert.equal(3, activations);
+  });
+
+  should("show the hints only once by default", () => {
+    LinkHints.activateModeToOpenInNewTab(1, { registryEntry: { options: {} } });
+    onExit(true);
+    assert.equal(1, activations);
+  });
+});
+
+context("HintCoordinator.sortInVisualOrder", () => {
+  const createDescriptor = (frameId, localIndex, left, top, height = 10) => ({
+    frameId,
+    localIndex,
+    rect: { left, top, height },
+  });
+
+  const sort = (descriptors, frameIdToOffset) =>
+    contentHintCoordinator.sortInVisualOrder(descriptors, frameIdToOffset)
+      .map(({ frameId, localIndex }) => `${frameId}:${localIndex}`);
+
+  should("order hints in rows from top to bottom, and from left to right within a row", () => {
+    const descriptors = [
+      createDescriptor(0, 0, 50, 0),
+      createDescriptor(0, 1, 0, 4),
+      createDescriptor(0, 2, 0, 20),
+    ];
+    assert.equal(["0:1", "0:0", "0:2"], sort(descriptors, { 0: { left: 0, top: 0 } }));
+  });
+
+  should("interleave the hints of frames by their position within the tab", () => {
+    const descriptors = [
+      createDescriptor(0, 0, 0, 0),
+      createDescriptor(0, 1, 0, 200),
+      createDescriptor(1, 0, 0, 0),
+    ];
+    const frameIdToOffset = { 0: { left: 0, top: 0 }, 1: { left: 0, top: 100 } };
+    assert.equal(["0:0", "1:0", "0:1"], sort(descriptors, frameIdToOffset));
+  });
+
+  should("put the hints of frames without an offset last", () => {
+    const descriptors = [createDescriptor(1, 0, 0, 0), createDescriptor(0, 0, 0, 50)];
+    assert.equal(["0:0", "1:0"], sort(descriptors, { 0: { left: 0, top: 0 } }));
+  });
+});
+
+context("MnemonicHints", () => {
+  let mnemonicHints;
+
+  setup(async () => {
+    await Settings.onLoaded();
+    await Settings.set("linkHintCharacters", "sadfjklewcmpgh");
+    mnemonicHints = new MnemonicHints();
+  });
+
+  teardown(async () => {
+    await Settings.clear();
+  });
+
+  const createMarkers = (...linkTexts) =>
+    linkTexts.map((linkText) => ({ linkText, isLocalMarker: () => false }));
+
+  should("use the initials of each link's text", () => {
+    const markers = createMarkers("Find help", "Download", "Search");
+    mnemonicHints.fillInMarkers(markers);
+    assert.equal(["fh", "dw", "se"], markers.map((marker) => marker.hintString));
+  });
+
+  should("use only the letters in linkHintCharacters", () => {
+    // With the default linkHintCharacters, the "i", "n" and "u" of these links aren't hint
+    // characters, and none of the letters of "Войти" are.
+    const markers = createMarkers("Sign in", "Sign up", "Войти");
+    mnemonicHints.fillInMarkers(markers);
+    const hintStrings = markers.map((marker) => marker.hintString);
+    assert.equal(["sg", "sp"], hintStrings.slice(0, 2));
+    for (const hintString of hintStrings) {
+      assert.isTrue(Array.from(hintString).every((c) => "sadfjklewcmpgh".includes(c)));
+    }
+  });
+
+  should("resolve collisions with other letters, and then with linkHintCharacters", () => {
+    const markers = createMarkers("Search", "Search", "");
+    mnemonicHints.fillInMarkers(markers);
+    assert.equal(["se", "sa", "a"], markers.map((marker) => marker.hintString));
+  });
+});
@@ -15,7 +15,7 @@ context("HintCoordinator", () => {
 
     stub(chrome.tabs, "sendMessage", async (_tabId, message, options) => {
       if (message.messageType == "getHintDescriptors") {
-        return frameIdToHintDescriptors[options.frameId];
+        return { hintDescriptors: frameIdToHintDescriptors[options.frameId], childFrameRects: {} };
       } else if (message.messageType == "activateMode") {
         receivedMessages.push(message);
       }
@@ -36,6 +36,19 @@ context("HintCoordinator", () => {
       { frameId: 1, frameIdToHintDescriptors: { "0": frameIdToHintDescriptors[0] } },
     ], receivedMessages);
   });
+
+  should("find the offset of each frame within the top frame", () => {
+    const frameIdToOffset = HintCoordinator.getFrameOffsets({
+      "0": { "1": { left: 10, top: 20 } },
+      "1": { "2": { left: 1, top: 2 } },
+      "3": { "4": { left: 5, top: 5 } },
+    });
+    assert.equal({
+      "0": { left: 0, top: 0 },
+      "1": { left: 10, top: 20 },
+      "2": { left: 11, top: 22 },
+    }, frameIdToOffset);
+  });
 });
 
 context("createTab command", () => {
@@ -93,6 +106,125 @@ context("createTab command", () => {
   });
 });
 
+context("openUrlsInNewTabs", () => {
+  should("open each URL next to the tab, skipping those which can't be opened", async () => {
+    const created = [];
+    stub(chrome.tabs, "create", (args) => {
+      if (args.url.startsWith("javascript:")) {
+        return Promise.reject(new Error("Cannot navigate to a javascript: URL"));
+      }
+      created.push(args);
+      return Promise.resolve(args);
+    });
+    const urls = ["https://a.com", "javascript:void(0)", "https://b.com"];
+    await sendRequestHandlers.openUrlsInNewTabs({ urls, tab: { id: 1, index: 3, windowId: 2 } });
+    assert.equal(["https://a.com", "https://b.com"], created.map((args) => args.url));
+    assert.equal([4, 5], created.map((args) => args.index));
+  });
+});
+
+context("repeatLastCommand command", () => {
+  let sentMessages;
+
+  setup(() => {
+    sentMessages = [];
+    stub(chrome.tabs, "sendMessage", (tabId, message, options) => {
+      sentMessages.push({ tabId, message, options });
+    });
+  });
+
+  const request = (tabId, windowId, properties) =>
+    Object.assign({ count: null, tabId, tab: { id: tabId, windowId } }, properties);
+
+  should("do nothing if no command has been run in the window", async () => {
+    await BackgroundCommands.repeatLastCommand(request(1001, 1), { frameId: 0 });
+    assert.equal([], sentMessages);
+  });
+
+  should("repeat the window's last command in the sending frame", async () => {
+    const registryEntry = new RegistryEntry({ command: "removeTab", options: {} });
+    await sendRequestHandlers.setLastCommand(request(1002, 2, { registryEntry, count: 2 }));
+    await BackgroundCommands.repeatLastCommand(request(1002, 2), { frameId: 3 });
+    assert.equal(1, sentMessages.length);
+    const { tabId, message, options } = sentMessages[0];
+    assert.equal(1002, tabId);
+    assert.equal({ frameId: 3 }, options);
+    assert.equal("runNormalModeCommand", message.handler);
+    assert.equal("removeTab", message.command.command);
+    assert.equal(2, message.count);
+  });
+
+  should("replace the repeated command's count with a typed count", async () => {
+    const registryEntry = new RegistryEntry({ command: "removeTab", options: {} });
+    await sendRequestHandlers.setLastCommand(request(1003, 3, { registryEntry, count: 2 }));
+    await BackgroundCommands.repeatLastCommand(request(1003, 3, { count: 5 }), { frameId: 0 });
+    assert.equal(5, sentMessages[0].message.count);
+  });
+
+  should("repeat removeTab in the tab which is selected after the tab closes", async () => {
+    // The user types "x" in tab 1004, which closes it, and then "." in tab 1005 of the same window.
+    const registryEntry = new RegistryEntry({ command: "removeTab", options: {} });
+    await sendRequestHandlers.setLastCommand(request(1004, 4, { registryEntry, count: 1 }));
+    await BackgroundCommands.repeatLastCommand(request(1005, 4), { frameId: 0 });
+    assert.equal(1, sentMessages.length);
+    assert.equal(1005, sentMessages[0].tabId);
+    assert.equal("removeTab", sentMessages[0].message.command.command);
+  });
+
+  should("repeat the window's most recent command, even if it was run in another tab", async () => {
+    const reload = new RegistryEntry({ command: "reload", options: {} });
+    const removeTab = new RegistryEntry({ command: "removeTab", options: {} });
+    await sendRequestHandlers.setLastCommand(request(1006, 5, { registryEntry: reload }));
+    await sendRequestHandlers.setLastCommand(request(1007, 5, { registryEntry: removeTab }));
+    await sendRequestHandlers.setLastCommand(request(1008, 6, { registryEntry: reload }));
+    await BackgroundCommands.repeatLastCommand(request(1006, 5), { frameId: 0 });
+    assert.equal("removeTab", sentMessages[0].message.command.command);
+  });
+});
+
+context("switchProfile command", () => {
+  let messages;
+  const tab = { id: 1, windowId: 5 };
+  const switchProfile = (options) => {
+    const registryEntry = new RegistryEntry({ command: "switchProfile", options });
+    return BackgroundCommands.switchProfile({ tab, tabId: tab.id, registryEntry }, { frameId: 0 });
+  };
+
+  setup(async () => {
+    messages = [];
+    stub(chrome.tabs, "sendMessage", (_tabId, message) => messages.push(message.message));
+    await Settings.load();
+    await Settings.set("settingsProfiles", { work: {}, reading: {} });
+  });
+
+  teardown(async () => {
+    await Settings.setWindowProfile(tab.windowId, null);
+    await Settings.clear();
+  });
+
+  should("cycle through the profiles and back to no profile", async () => {
+    const profiles = [];
+    for (let i = 0; i < 3; i++) {
+      await switchProfile({});
+      profiles.push(Settings.get("activeProfile"));
+    }
+    assert.equal(["work", "reading", ""], profiles);
+    assert.equal('Switched to the "work" settings profile.', messages[0]);
+  });
+
+  should("switch to the named profile for only the current window", async () => {
+    await switchProfile({ name: "reading", window: true });
+    assert.equal("reading", await Settings.getWindowProfile(5));
+    assert.equal("", Settings.get("activeProfile"));
+  });
+
+  should("not switch to a profile which doesn't exist", async () => {
+    await switchProfile({ name: "gaming" });
+    assert.equal("", Settings.get("activeProfile"));
+    assert.equal('There is no settings profile named "gaming".', messages[0]);
+  });
+});
+
 context("Next zoom level", () => {
   // All these tests use the Chrome zoom levels, which are the default.
   should("Zoom in 0 times", async () => {
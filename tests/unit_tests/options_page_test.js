@@ -34,6 +34,54 @@ context("options page", () => {
     assert.isTrue(messageEls[0].innerHTML.includes(el.value));
   });
 
+  should("list key mapping errors and warnings with their line numbers", async () => {
+    const el = optionsPage.getOptionEl("keyMappings");
+    el.value = "map a scrollDown\nmap a scrollUp\nmap b unknownCommand";
+    await optionsPage.saveOptions();
+    const messages = Array.from(document.querySelectorAll("#key-mappings-diagnostics div"))
+      .map((el) => [el.className, el.textContent.split(":")[0]]);
+    assert.equal([
+      ["warning-message", "Line 2, column 5"],
+      ["validation-message", "Line 3, column 7"],
+    ], messages);
+  });
+
+  should("list key mapping warnings for the saved key mappings when the page loads", async () => {
+    await Settings.set("keyMappings", "map a scrollDown\nmap a scrollUp");
+    await optionsPage.init();
+    const messages = Array.from(document.querySelectorAll("#key-mappings-diagnostics div"))
+      .map((el) => [el.className, el.textContent.split(":")[0]]);
+    assert.equal([["warning-message", "Line 2, column 5"]], messages);
+  });
+
+  should("save settings profiles, and reject overrides of other settings", async () => {
+    const el = optionsPage.getOptionEl("settingsProfiles");
+    el.value = '{ "reading": { "keyMappings": "" } }';
+    await optionsPage.saveOptions();
+    assert.isTrue(el.classList.contains("validation-error"));
+    assert.equal({}, Settings.get("settingsProfiles"));
+
+    el.value = '{ "reading": { "scrollStepSize": 120 } }';
+    await optionsPage.saveOptions();
+    assert.equal({ reading: { scrollStepSize: 120 } }, Settings.get("settingsProfiles"));
+  });
+
+  should("save hint selector rules, and reject invalid selectors", async () => {
+    document.querySelector("#hint-selector-add-button").click();
+    const row = document.querySelector("#hint-selector-rules tr.rule");
+    row.querySelector("[name=pattern]").value = "https://example.com/*";
+    row.querySelector("[name=include]").value = "div.card[";
+    await optionsPage.saveOptions();
+    assert.equal([], Settings.get("hintSelectorRules"));
+
+    row.querySelector("[name=include]").value = "div.card";
+    await optionsPage.saveOptions();
+    assert.equal(
+      [{ exclude: "", include: "div.card", pattern: "https://example.com/*" }],
+      Settings.get("hintSelectorRules"),
+    );
+  });
+
   should("show exclusion rule editor for exclusion rules", async () => {
     const rule = {
       passKeys: "",
@@ -46,24 +94,30 @@ context("options page", () => {
   });
 
   context("backup", () => {
+    should("include the format and Vimium versions", () => {
+      const backup = JSON.parse(optionsPage.prepareBackupSettings());
+      assert.equal(1, backup.formatVersion);
+      assert.equal(Utils.getCurrentVersion(), backup.settingsVersion);
+    });
+
     should("exclude settings which are default values", () => {
-      const settings = JSON.parse(optionsPage.prepareBackupSettings());
+      const settings = JSON.parse(optionsPage.prepareBackupSettings()).settings;
       // This should exclude all values which are defaults.
-      assert.equal(["settingsVersion"], Object.keys(settings));
+      assert.equal([], Object.keys(settings));
     });
 
     should("include settings which have changed from the default", () => {
       optionsPage.getOptionEl("keyMappings").value = "map a scrollUp";
-      const settings = JSON.parse(optionsPage.prepareBackupSettings());
-      assert.equal(["keyMappings", "settingsVersion"], Object.keys(settings));
+      const settings = JSON.parse(optionsPage.prepareBackupSettings()).settings;
+      assert.equal(["keyMappings"], Object.keys(settings));
       assert.equal("map a scrollUp", settings.keyMappings);
     });
 
     should("export settings with sorted keys", () => {
       optionsPage.getOptionEl("linkHintCharacters").value = "abcd";
       optionsPage.getOptionEl("keyMappings").value = "map a scrollUp";
-      const settings = JSON.parse(optionsPage.prepareBackupSettings());
-      assert.equal(["keyMappings", "linkHintCharacters", "settingsVersion"], Object.keys(settings));
+      const settings = JSON.parse(optionsPage.prepareBackupSettings()).settings;
+      assert.equal(["keyMappings", "linkHintCharacters"], Object.keys(settings));
     });
 
     should("include exclusion rules", async () => {
@@ -73,8 +127,23 @@ context("options page", () => {
       };
       await Settings.set("exclusionRules", [rule]);
       await optionsPage.init();
-      const settings = JSON.parse(optionsPage.prepareBackupSettings());
+      const settings = JSON.parse(optionsPage.prepareBackupSettings()).settings;
       assert.equal([rule], settings["exclusionRules"]);
     });
+
+    should("preview the changes an import makes before applying them", async () => {
+      optionsPage.showImportPreview({ keyMappings: "map a scrollUp", hideHud: true });
+      const changesEl = document.querySelector("[data-section=keyMappings] .changes");
+      assert.isTrue(changesEl.textContent.includes("+ map a scrollUp"));
+      assert.equal(
+        "No changes.",
+        document.querySelector("[data-section=linkHints] .changes").textContent,
+      );
+      assert.isFalse(Settings.get("hideHud"));
+
+      await document.querySelector("#import-apply").onclick();
+      assert.isTrue(Settings.get("hideHud"));
+      assert.isTrue(Settings.get("keyMappings").endsWith("map a scrollUp"));
+    });
   });
 });
@@ -342,3 +342,43 @@ context("Rect overlaps", () => {
     assert.isTrue(Rect.intersectsStrict(rect2, rect1));
   });
 });
+
+context("Rect placement without overlaps", () => {
+  const bounds = Rect.create(0, 0, 10, 10);
+
+  should("place a box at the top-left corner of its bounds", () => {
+    const [rect] = Rect.placeWithoutOverlaps([{ width: 2, height: 2, bounds }]);
+    assert.isTrue(Rect.equals(rect, Rect.create(0, 0, 2, 2)));
+  });
+
+  should("move a box to the right of a box it would overlap", () => {
+    const boxes = [{ width: 4, height: 2, bounds }, { width: 4, height: 2, bounds }];
+    const [rect1, rect2] = Rect.placeWithoutOverlaps(boxes);
+    assert.isTrue(Rect.equals(rect1, Rect.create(0, 0, 4, 2)));
+    assert.isTrue(Rect.equals(rect2, Rect.create(4, 0, 8, 2)));
+  });
+
+  should("move a box below a box it would overlap when there's no room to the right", () => {
+    const boxes = [{ width: 6, height: 2, bounds }, { width: 6, height: 2, bounds }];
+    const [, rect2] = Rect.placeWithoutOverlaps(boxes);
+    assert.isTrue(Rect.equals(rect2, Rect.create(0, 2, 6, 4)));
+  });
+
+  should("keep a box's top-left corner within its bounds", () => {
+    const boxes = [
+      { width: 4, height: 4, bounds: Rect.create(0, 0, 4, 4) },
+      { width: 4, height: 4, bounds: Rect.create(2, 2, 4, 4) },
+    ];
+    const [, rect2] = Rect.placeWithoutOverlaps(boxes);
+    assert.isTrue(Rect.equals(rect2, Rect.create(2, 2, 6, 6)));
+  });
+
+  should("not move a box which doesn't overlap another", () => {
+    const boxes = [
+      { width: 2, height: 2, bounds: Rect.create(0, 0, 2, 2) },
+      { width: 2, height: 2, bounds: Rect.create(5, 5, 8, 8) },
+    ];
+    const [, rect2] = Rect.placeWithoutOverlaps(boxes);
+    assert.isTrue(Rect.equals(rect2, Rect.create(5, 5, 7, 7)));
+  });
+});
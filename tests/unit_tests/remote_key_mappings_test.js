@@ -0,0 +1,100 @@
+import "./test_helper.js";
+import "../../lib/settings.js";
+import { Commands } from "../../background_scripts/commands.js";
+import { RemoteKeyMappings } from "../../background_scripts/remote_key_mappings.js";
+
+context("RemoteKeyMappings", () => {
+  const url = "http://localhost/vimiumrc";
+  let response;
+
+  setup(async () => {
+    response = { ok: true, status: 200, text: () => Promise.resolve("map a scrollUp") };
+    stub(globalThis, "fetch", () => {
+      return response instanceof Error ? Promise.reject(response) : Promise.resolve(response);
+    });
+    await chrome.storage.local.remove(RemoteKeyMappings.storageKey);
+    await Settings.load();
+    await Settings.set("keyMappingsUrl", url);
+  });
+
+  teardown(async () => {
+    await Settings.clear();
+  });
+
+  should("cache the fetched config", async () => {
+    await RemoteKeyMappings.update(url);
+    assert.equal("map a scrollUp", await RemoteKeyMappings.getText(url));
+    assert.isFalse(await RemoteKeyMappings.isStale(url));
+    // The cache is only used for the URL it was fetched from.
+    assert.equal("", await RemoteKeyMappings.getText("http://localhost/other"));
+    assert.isTrue(await RemoteKeyMappings.isStale("http://localhost/other"));
+  });
+
+  should("keep the last good version when fetching fails", async () => {
+    await RemoteKeyMappings.update(url);
+    response = { ok: false, status: 404 };
+    let entry = await RemoteKeyMappings.update(url);
+    assert.isTrue(entry.error.includes("404"));
+    assert.equal("map a scrollUp", await RemoteKeyMappings.getText(url));
+
+    response = new Error("network error");
+    entry = await RemoteKeyMappings.update(url);
+    assert.isTrue(entry.error.includes("network error"));
+    assert.equal("map a scrollUp", entry.text);
+  });
+
+  should("read file URLs with XMLHttpRequest, where it's available", async () => {
+    const fileUrl = "file:///home/user/vimiumrc";
+    const fetchedUrls = [];
+    stub(globalThis, "fetch", (fetchedUrl) => {
+      fetchedUrls.push(fetchedUrl);
+      return Promise.resolve(response);
+    });
+    // Like the background service worker, the tests have no XMLHttpRequest.
+    assert.equal(null, await RemoteKeyMappings.update(fileUrl));
+    assert.isTrue(await RemoteKeyMappings.isStale(fileUrl));
+
+    stub(
+      globalThis,
+      "XMLHttpRequest",
+      class {
+        open(_method, url) {
+          this.url = url;
+        }
+        send() {
+          this.responseText = `map a scrollUp # ${this.url}`;
+          this.onload();
+        }
+      },
+    );
+    const entry = await RemoteKeyMappings.update(fileUrl);
+    assert.equal(`map a scrollUp # ${fileUrl}`, entry.text);
+    assert.isFalse(fetchedUrls.includes(fileUrl));
+  });
+
+  should("not fetch URLs with other protocols", async () => {
+    const entry = await RemoteKeyMappings.update("ftp://localhost/vimiumrc");
+    assert.isTrue(entry.error.includes("only http, https and file URLs are supported"));
+  });
+
+  should("fetch only once when the same URL is updated concurrently", async () => {
+    const otherUrl = "http://localhost/other";
+    let fetchCount = 0;
+    stub(globalThis, "fetch", (fetchedUrl) => {
+      if (fetchedUrl == otherUrl) fetchCount++;
+      return Promise.resolve(response);
+    });
+    await Promise.all([RemoteKeyMappings.update(otherUrl), RemoteKeyMappings.update(otherUrl)]);
+    assert.equal(1, fetchCount);
+  });
+
+  should("apply the fetched mappings after the user's key mappings", async () => {
+    await RemoteKeyMappings.update(url);
+    // If another test has initialized Commands, it reloads the key mappings whenever the settings
+    // change, so load the key mappings from the settings here too.
+    await Settings.set("keyMappings", "map a scrollDown\nmap b scrollDown");
+    await Commands.loadKeyMappings(Settings.get("keyMappings"), url);
+    assert.equal("scrollUp", Commands.keyToRegistryEntry["a"].command);
+    assert.equal("scrollDown", Commands.keyToRegistryEntry["b"].command);
+  });
+});
@@ -91,4 +91,58 @@ context("settings", () => {
       assert.equal(Settings.newTabDestinations.customUrl, settings.newTabDestination);
     });
   });
+
+  context("profiles", () => {
+    setup(async () => {
+      await Settings.load();
+      await Settings.set("settingsProfiles", {
+        reading: { scrollStepSize: 120, searchUrl: "https://example.com/?q=" },
+        presentation: { hideHud: true },
+      });
+    });
+
+    teardown(async () => {
+      await Settings.setWindowId(null);
+      await Settings.setWindowProfile(7, null);
+      await Settings.setWindowProfile(8, null);
+      await Settings.clear();
+    });
+
+    should("use the active profile's overrides", async () => {
+      assert.equal(60, Settings.get("scrollStepSize"));
+      await Settings.set("activeProfile", "reading");
+      assert.equal(120, Settings.get("scrollStepSize"));
+      assert.equal(false, Settings.get("hideHud"));
+      // The stored setting is unchanged.
+      assert.equal(60, Settings.getSettings().scrollStepSize);
+    });
+
+    should("ignore overrides of settings which profiles can't override", async () => {
+      await Settings.set("activeProfile", "reading");
+      assert.equal(Settings.defaultOptions.searchUrl, Settings.get("searchUrl"));
+    });
+
+    should("prefer the profile chosen for this window", async () => {
+      await Settings.set("activeProfile", "reading");
+      await Settings.setWindowProfile(7, "presentation");
+      await Settings.setWindowId(7);
+      assert.equal(60, Settings.get("scrollStepSize"));
+      assert.equal(true, Settings.get("hideHud"));
+      // Another window uses the activeProfile setting.
+      await Settings.setWindowId(8);
+      assert.equal(120, Settings.get("scrollStepSize"));
+    });
+
+    should("dispatch a change event when this window's profile changes", async () => {
+      await Settings.setWindowId(7);
+      let changeCount = 0;
+      const listener = () => changeCount++;
+      Settings.addEventListener("change", listener);
+      await Settings.setWindowProfile(7, "reading");
+      await Settings.setWindowProfile(8, "presentation");
+      Settings.removeEventListener("change", listener);
+      assert.equal(1, changeCount);
+      assert.equal(120, Settings.get("scrollStepSize"));
+    });
+  });
 });
@@ -37,12 +37,14 @@ const createStorageAPI = (areaName) => {
       }
     },
 
-    async remove(key) {
+    async remove(keys) {
       chrome.runtime.lastError = undefined;
-      if (key in this.store) {
-        delete this.store[key];
+      for (const key of [].concat(keys)) {
+        if (key in this.store) {
+          delete this.store[key];
+        }
+        globalThis.chrome.storage.onChanged.callEmpty(key);
       }
-      globalThis.chrome.storage.onChanged.callEmpty(key);
     },
 
     async clear() {
@@ -64,6 +64,71 @@ context("vomnibar page", () => {
     assert.equal("http://hello.com", ui.input.value);
   });
 
+  should("record the completion which the user picks for their query", async () => {
+    const messages = [];
+    stub(chrome.runtime, "sendMessage", (message) => {
+      messages.push(message);
+      if (message.handler == "filterCompletions") {
+        return Promise.resolve([new Suggestion({ url: "http://hello.com" })]);
+      }
+    });
+    ui.setQuery("hel");
+    await ui.update();
+    await ui.onKeyEvent(newKeyEvent({ type: "keydown", key: "up" }));
+    await ui.onKeyEvent(newKeyEvent({ type: "keypress", key: "Enter" }));
+    const message = messages.find((m) => m.handler == "recordVomnibarSelection");
+    assert.equal(
+      { handler: "recordVomnibarSelection", query: "hel", url: "http://hello.com" },
+      message,
+    );
+  });
+
+  should(
+    "record selections with the query's scope prefix, and not in incognito windows",
+    async () => {
+      const messages = [];
+      stub(chrome.runtime, "sendMessage", (message) => {
+        messages.push(message);
+        if (message.handler == "filterCompletions") {
+          return Promise.resolve([new Suggestion({ url: "http://hello.com", autoSelect: true })]);
+        }
+      });
+      const recordedQueries = () =>
+        messages.filter((m) => m.handler == "recordVomnibarSelection").map((m) => m.query);
+      ui.setQuery("b: hel");
+      ui.onInput();
+      await ui.update();
+      ui.recordSelection(ui.completions[0]);
+      assert.equal(["b: hel"], recordedQueries());
+
+      stub(chrome.extension, "inIncognitoContext", true);
+      ui.recordSelection(ui.completions[0]);
+      assert.equal(["b: hel"], recordedQueries());
+    },
+  );
+
+  should("run the actions for the selected suggestion's type", async () => {
+    let completions;
+    const messages = [];
+    stub(chrome.runtime, "sendMessage", (message) => {
+      messages.push(message);
+      if (message.handler == "filterCompletions") return Promise.resolve(completions);
+    });
+    const closeTab = newKeyEvent({ type: "keydown", key: "x", altKey: true });
+
+    completions = [new Suggestion({ url: "http://tab.com", description: "tab", tabId: 7 })];
+    await ui.update();
+    await ui.onKeyEvent(newKeyEvent({ type: "keydown", key: "up" }));
+    await ui.onKeyEvent(closeTab);
+    assert.equal([7], messages.filter((m) => m.handler == "closeSpecificTab").map((m) => m.id));
+
+    // Closing a tab isn't an action for other suggestions.
+    completions = [new Suggestion({ url: "http://example.com", description: "history" })];
+    await ui.update();
+    await ui.onKeyEvent(newKeyEvent({ type: "keydown", key: "up" }));
+    assert.equal(null, ui.actionFromKeyEvent(closeTab));
+  });
+
   should("open a URL-like query when enter is pressed", async () => {
     ui.setQuery("www.example.com");
     let handler = null;
@@ -100,6 +165,31 @@ context("vomnibar page", () => {
     assert.equal("constructor ", ui.input.value);
   });
 
+  should("suppress the prefix of a scope, and show the scope instead", () => {
+    let query = null;
+    stub(chrome.runtime, "sendMessage", (message) => {
+      if (message.handler == "filterCompletions") query = message.query;
+      return [];
+    });
+    ui.setQuery("b: example");
+    ui.onInput();
+    assert.equal("example", ui.input.value);
+    assert.equal("Bookmarks", ui.input.getAttribute("placeholder"));
+    assert.equal("b: example", query);
+  });
+
+  should(
+    "reinstate the prefix of a scope when backspace is typed at the start of the input",
+    async () => {
+      ui.setQuery("b: example");
+      ui.onInput();
+      ui.input.selectionStart = ui.input.selectionEnd = 0;
+      await ui.onKeyEvent(newKeyEvent({ key: "Backspace" }));
+      assert.equal("b:example", ui.input.value);
+      assert.equal("", ui.input.getAttribute("placeholder"));
+    },
+  );
+
   should("use custom search engine when enter is pressed before completions arrive", async () => {
     userSearchEngines.set("e: https://www.example.com/search?q=%s Example");
 